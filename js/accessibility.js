@@ -0,0 +1,322 @@
+/**
+ * ========================================
+ * Accessibility Audit
+ * ========================================
+ *
+ * Checks the template for the accessibility problems we can detect
+ * from block data:
+ * - Images with empty or placeholder alt text
+ * - Text/background color pairs below WCAG AA contrast
+ *   (4.5:1, or 3:1 for large text - 24px, or 18.66px bold)
+ * - Skipped heading levels (h1 -> h3)
+ * - Buttons with vague labels ("Click Here", "Read more", ...)
+ * - A missing document language
+ * - Layout tables without role="presentation"
+ *
+ * Each issue can carry a fix the audit panel applies in one click:
+ *   { label, scope: 'block' | 'template', updates, prompt? }
+ * Fixes with a prompt ask for a value first ({ key, message, value }).
+ */
+
+import { emailModel } from './model.js';
+import { getComponent, renderBlockHTML, getColumnCount } from './components.js';
+
+/**
+ * Minimum contrast ratios (WCAG 2.1 AA)
+ */
+const CONTRAST_NORMAL = 4.5;
+const CONTRAST_LARGE = 3;
+
+/**
+ * Alt texts that don't describe anything
+ */
+const PLACEHOLDER_ALTS = [
+    'image', 'img', 'photo', 'picture', 'placeholder', 'graphic', 'banner',
+    'left image', 'right image', 'untitled'
+];
+
+/**
+ * Button labels that make no sense out of context (screen reader link lists)
+ */
+const VAGUE_LABELS = [
+    'click here', 'click', 'here', 'read more', 'more', 'learn more',
+    'link', 'this', 'go', 'details', 'more info', 'continue'
+];
+
+/**
+ * Text color checks per component: [textKey, backgroundKey, bold]
+ */
+const COLOR_PAIRS = {
+    text: [['color', 'backgroundColor', false]],
+    heading: [['color', 'backgroundColor', true]],
+    button: [['textColor', 'backgroundColor', false]],
+    footer: [['color', 'backgroundColor', false]]
+};
+
+/**
+ * Parse a CSS color (#rgb, #rrggbb, rgb()/rgba()) into [r, g, b]
+ * @returns {Array<number>|null} - null for colors we can't evaluate (names, transparent)
+ */
+function parseColor(value) {
+    const color = String(value || '').trim().toLowerCase();
+
+    let match = color.match(/^#([0-9a-f]{3})$/);
+    if (match) return match[1].split('').map(digit => parseInt(digit + digit, 16));
+
+    match = color.match(/^#([0-9a-f]{6})$/);
+    if (match) return [0, 2, 4].map(index => parseInt(match[1].slice(index, index + 2), 16));
+
+    match = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+    if (match && (match[4] === undefined || parseFloat(match[4]) === 1)) {
+        return [match[1], match[2], match[3]].map(channel => Math.min(255, parseInt(channel, 10)));
+    }
+
+    return null;
+}
+
+/**
+ * Relative luminance of an sRGB color
+ */
+function getLuminance([r, g, b]) {
+    const [R, G, B] = [r, g, b].map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ * @param {string} foreground - CSS color
+ * @param {string} background - CSS color
+ * @returns {number|null} - Ratio (1-21), or null if a color can't be evaluated
+ */
+export function getContrastRatio(foreground, background) {
+    const fg = parseColor(foreground);
+    const bg = parseColor(background);
+    if (!fg || !bg) return null;
+
+    const [lighter, darker] = [getLuminance(fg), getLuminance(bg)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Blocks in document order with the background they're shown on
+ * (a block without its own background shows its row's or the container's)
+ */
+function getDocumentBlocks() {
+    const settings = emailModel.getSettings();
+    const blocks = [];
+
+    const visit = (block, inheritedBackground) => {
+        const background = parseColor(block.data.backgroundColor) ? block.data.backgroundColor : inheritedBackground;
+        blocks.push({ block, background });
+        if (block.type === 'row') {
+            emailModel.getChildBlocks(block.id).forEach(child => visit(child, background));
+        }
+    };
+    emailModel.getAllBlocks().forEach(block => visit(block, settings.containerBackgroundColor || '#ffffff'));
+
+    return blocks;
+}
+
+/**
+ * Check image alt texts (image blocks and image columns)
+ */
+function checkAltText(block, issues) {
+    const images = [];
+    if (block.type === 'image') {
+        images.push({ key: 'alt', name: 'Image' });
+    }
+    if (block.type === 'twoColumns') {
+        [1, 2].forEach(index => {
+            if ((block.data[`column${index}Type`] || 'html') === 'image') {
+                images.push({ key: `column${index}Alt`, name: index === 1 ? 'Left image' : 'Right image' });
+            }
+        });
+    }
+    if (block.type === 'columns') {
+        for (let index = 1; index <= getColumnCount(block.data); index++) {
+            if ((block.data[`column${index}Type`] || 'html') === 'image') {
+                images.push({ key: `column${index}Alt`, name: `Column ${index} image` });
+            }
+        }
+    }
+
+    images.forEach(({ key, name }) => {
+        const alt = String(block.data[key] || '').trim();
+        const isPlaceholder = PLACEHOLDER_ALTS.includes(alt.toLowerCase()) || /\.(png|jpe?g|gif|webp|svg)$/i.test(alt);
+        if (alt && !isPlaceholder) return;
+
+        issues.push({
+            blockId: block.id,
+            message: alt
+                ? `${name} alt text "${alt}" is a placeholder - describe what the image shows`
+                : `${name} has no alt text`,
+            fix: {
+                label: 'Add alt text',
+                scope: 'block',
+                prompt: { key, message: `Describe the ${name.toLowerCase()} for screen readers:`, value: '' }
+            }
+        });
+    });
+}
+
+/**
+ * Check text/background contrast
+ */
+function checkContrast(block, background, issues) {
+    (COLOR_PAIRS[block.type] || []).forEach(([textKey, backgroundKey, bold]) => {
+        const textColor = block.data[textKey];
+        const backgroundColor = parseColor(block.data[backgroundKey]) ? block.data[backgroundKey] : background;
+        const ratio = getContrastRatio(textColor, backgroundColor);
+        if (ratio === null) return;
+
+        const fontSize = parseFloat(block.data.fontSize) || 16;
+        const isLarge = fontSize >= 24 || (bold && fontSize >= 18.66);
+        const required = isLarge ? CONTRAST_LARGE : CONTRAST_NORMAL;
+        if (ratio >= required) return;
+
+        // Black or white, whichever reads better on this background
+        const fixColor = getContrastRatio('#000000', backgroundColor) >= getContrastRatio('#ffffff', backgroundColor)
+            ? '#000000'
+            : '#ffffff';
+
+        issues.push({
+            blockId: block.id,
+            message: `Text color ${textColor} on ${backgroundColor} has a contrast of ${ratio.toFixed(2)}:1 (needs ${required}:1)`,
+            fix: {
+                label: `Use ${fixColor}`,
+                scope: 'block',
+                updates: { [textKey]: fixColor }
+            }
+        });
+    });
+}
+
+/**
+ * Check that heading levels don't skip (h1 -> h3)
+ */
+function checkHeadingLevels(documentBlocks, issues) {
+    let previousLevel = 0;
+
+    documentBlocks.forEach(({ block }) => {
+        if (block.type !== 'heading') return;
+
+        const level = parseInt(String(block.data.level || 'h1').replace(/^h/, ''), 10) || 1;
+        if (previousLevel > 0 && level > previousLevel + 1) {
+            const fixLevel = `h${previousLevel + 1}`;
+            issues.push({
+                blockId: block.id,
+                message: `Heading level skips from H${previousLevel} to H${level}`,
+                fix: {
+                    label: `Make it ${fixLevel.toUpperCase()}`,
+                    scope: 'block',
+                    updates: { level: fixLevel }
+                }
+            });
+            previousLevel = previousLevel + 1;
+            return;
+        }
+        previousLevel = level;
+    });
+}
+
+/**
+ * Check button labels
+ */
+function checkButtonLabel(block, issues) {
+    if (block.type !== 'button') return;
+
+    const label = String(block.data.text || '').trim();
+    const normalized = label.toLowerCase().replace(/[.!?…»›→]+$/g, '').trim();
+    if (label && !VAGUE_LABELS.includes(normalized)) return;
+
+    issues.push({
+        blockId: block.id,
+        message: label
+            ? `Button label "${label}" doesn't say where it goes`
+            : 'Button has no label',
+        fix: {
+            label: 'Rename',
+            scope: 'block',
+            prompt: { key: 'text', message: 'Describe the action, e.g. "Shop the spring sale":', value: '' }
+        }
+    });
+}
+
+/**
+ * Check that rendered layout tables are marked as presentational
+ * (component templates are; tables pasted into rich text may not be)
+ */
+function checkLayoutTables(block, issues) {
+    if (block.type === 'row') return; // Children are checked on their own
+
+    const html = renderBlockHTML(block);
+    const tables = html.match(/<table\b[^>]*>/gi) || [];
+    const unmarked = tables.filter(tag => !/\srole\s*=/i.test(tag)).length;
+    if (unmarked === 0) return;
+
+    const component = getComponent(block.type);
+    const richFields = (component && component.richTextFields) || [];
+    const updates = {};
+    richFields.forEach(key => {
+        if (typeof block.data[key] === 'string') {
+            updates[key] = block.data[key].replace(/<table\b(?![^>]*\srole\s*=)/gi, '<table role="presentation"');
+        }
+    });
+
+    issues.push({
+        blockId: block.id,
+        message: `${unmarked} layout table(s) without role="presentation" - screen readers will announce them as data tables`,
+        fix: Object.keys(updates).length > 0
+            ? { label: 'Add role', scope: 'block', updates }
+            : null
+    });
+}
+
+/**
+ * Audit the template
+ * @returns {Array} - Issues [{ blockId|null, label, message, fix|null }]
+ */
+export function auditAccessibility() {
+    const issues = [];
+
+    // Email language (read aloud in the right voice)
+    const lang = String(emailModel.getMetadata().lang || '').trim();
+    if (!lang) {
+        issues.push({
+            blockId: null,
+            message: 'The email has no language (lang) set',
+            fix: {
+                label: 'Set language',
+                scope: 'template',
+                prompt: { key: 'lang', message: 'Language code of the email (e.g. en, de, fr-CA):', value: 'en' }
+            }
+        });
+    }
+
+    const documentBlocks = getDocumentBlocks();
+    const backgrounds = {};
+    documentBlocks.forEach(({ block, background }) => {
+        backgrounds[block.id] = background;
+    });
+
+    emailModel.getAllBlocksFlat().forEach(block => {
+        checkAltText(block, issues);
+        checkContrast(block, backgrounds[block.id] || '#ffffff', issues);
+        checkButtonLabel(block, issues);
+        checkLayoutTables(block, issues);
+    });
+    checkHeadingLevels(documentBlocks, issues);
+
+    // Labels for the report
+    return issues.map(issue => {
+        const block = issue.blockId ? emailModel.getBlock(issue.blockId) : null;
+        const component = block ? getComponent(block.type) : null;
+        return {
+            ...issue,
+            label: block ? (component ? component.label : block.type) : 'Email'
+        };
+    });
+}
@@ -0,0 +1,144 @@
+/**
+ * ========================================
+ * AMP for Email
+ * ========================================
+ *
+ * This module converts rendered email HTML into AMP4EMAIL markup
+ * and checks it against the AMP for Email rules we can verify locally.
+ *
+ * KEY AMP4EMAIL RULES:
+ * - <html ⚡4email>, the AMP runtime script and the boilerplate style
+ * - <amp-img> instead of <img>, with explicit width AND height
+ * - CSS in a single <style amp-custom> (max 75,000 bytes incl. inline styles)
+ * - No !important, no conditional comments/VML, no event handlers
+ * - No scripts, iframes, forms or other disallowed tags
+ *
+ * This is a structural check, not a replacement for the official validator.
+ */
+
+/**
+ * Maximum CSS size (amp-custom + inline style attributes)
+ */
+export const AMP_CSS_LIMIT = 75000;
+
+/**
+ * Tags that are not allowed in the body of an AMP email
+ */
+const DISALLOWED_TAGS = [
+    'script', 'iframe', 'frame', 'frameset', 'object', 'param', 'applet', 'embed',
+    'form', 'input', 'textarea', 'select', 'style', 'link', 'meta', 'base',
+    'video', 'audio', 'img', 'v:roundrect', 'center'
+];
+
+/**
+ * Convert rendered email HTML to AMP markup
+ * - Drops Outlook-only conditional blocks (VML buttons) and keeps the fallback
+ * - Replaces <img> with <amp-img layout="intrinsic">
+ * - Strips !important from inline styles
+ * @param {string} html - Email HTML (block markup)
+ * @returns {string} - AMP markup
+ */
+export function convertToAMP(html) {
+    let amp = html;
+
+    // Outlook-only content goes away, non-MSO fallback stays
+    amp = amp.replace(/<!--\[if [^\]]*mso[^\]]*\]>[\s\S]*?<!\[endif\]-->/gi, (match) => {
+        return /^<!--\[if !mso\]>/i.test(match) ? match : '';
+    });
+    amp = amp.replace(/<!--\[if !mso\]><!-->/gi, '').replace(/<!--<!\[endif\]-->/gi, '');
+
+    // Remaining comments are not needed
+    amp = amp.replace(/<!--[\s\S]*?-->/g, '');
+
+    // <img> -> <amp-img>; height: auto / display: block would break the AMP layout
+    amp = amp.replace(/<img\b([^>]*?)\s*\/?>/gi, (match, attrs) => {
+        const ampAttrs = attrs.replace(/\sstyle="([^"]*)"/i, (styleMatch, style) => {
+            const kept = style
+                .split(';')
+                .map(rule => rule.trim())
+                .filter(rule => rule && !/^(height|display)\s*:/i.test(rule))
+                .join('; ');
+            return kept ? ` style="${kept};"` : '';
+        });
+        return `<amp-img${ampAttrs} layout="intrinsic"></amp-img>`;
+    });
+
+    // AMP rejects !important anywhere
+    amp = amp.replace(/\s*!important/gi, '');
+
+    return amp;
+}
+
+/**
+ * Check AMP markup against the AMP for Email rules
+ * @param {string} markup - AMP markup for a single block
+ * @returns {Array<string>} - Rule violations (empty if none)
+ */
+export function validateAMPMarkup(markup) {
+    const violations = [];
+
+    DISALLOWED_TAGS.forEach(tag => {
+        const pattern = new RegExp(`<${tag.replace(':', '\\:')}[\\s>/]`, 'i');
+        if (pattern.test(markup)) {
+            violations.push(`<${tag}> is not allowed in AMP emails`);
+        }
+    });
+
+    // amp-img needs numeric width and height
+    (markup.match(/<amp-img\b[^>]*>/gi) || []).forEach(tag => {
+        const width = (tag.match(/\swidth="([^"]*)"/i) || [])[1];
+        const height = (tag.match(/\sheight="([^"]*)"/i) || [])[1];
+        const src = (tag.match(/\ssrc="([^"]*)"/i) || [])[1] || '';
+        if (!width || !/^\d+$/.test(width)) {
+            violations.push(`<amp-img> needs a numeric width in px (got "${width || ''}")`);
+        }
+        if (!height || !/^\d+$/.test(height)) {
+            violations.push('<amp-img> needs a height in px - set the image height field');
+        }
+        if (src && !/^https:\/\//i.test(src)) {
+            violations.push(`<amp-img> src must be an absolute https:// URL (got "${src.slice(0, 40)}")`);
+        }
+    });
+
+    if (/!important/i.test(markup)) {
+        violations.push('!important is not allowed');
+    }
+    if (/<!--\[if/i.test(markup)) {
+        violations.push('Conditional comments are not allowed');
+    }
+    if (/\son[a-z]+\s*=/i.test(markup)) {
+        violations.push('Event handler attributes (on*) are not allowed');
+    }
+    if (/\shref\s*=\s*"\s*javascript:/i.test(markup)) {
+        violations.push('javascript: URLs are not allowed');
+    }
+    if (/\sxmlns(:[a-z]+)?\s*=/i.test(markup)) {
+        violations.push('xmlns attributes are not allowed');
+    }
+    if (/\sclass="([^"]*\s)?-?(i-)?amp-/i.test(markup)) {
+        violations.push('Class names starting with "amp-" or "i-amp-" are reserved');
+    }
+
+    return violations;
+}
+
+/**
+ * Measure the CSS that counts toward the AMP limit
+ * @param {string} html - Complete AMP document
+ * @returns {number} - Bytes of amp-custom CSS plus inline style attributes
+ */
+export function measureAMPCSS(html) {
+    const encoder = new TextEncoder();
+    let bytes = 0;
+
+    const customCSS = html.match(/<style amp-custom>([\s\S]*?)<\/style>/i);
+    if (customCSS) {
+        bytes += encoder.encode(customCSS[1]).length;
+    }
+
+    (html.match(/\sstyle="[^"]*"/gi) || []).forEach(attr => {
+        bytes += encoder.encode(attr.slice(8, -1)).length;
+    });
+
+    return bytes;
+}
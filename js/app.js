@@ -15,15 +15,25 @@
 import { emailModel } from './model.js';
 import { canvasManager } from './canvas.js';
 import { propertiesManager } from './properties.js';
-import { emailExporter } from './exporter.js';
+import { emailExporter, PACKAGE_INLINE_IMAGE_LIMIT } from './exporter.js';
 import { storageManager } from './storage.js';
 import { getAllComponents, getComponent } from './components.js';
+import { auditAccessibility } from './accessibility.js';
+import { EMAIL_CLIENTS } from './compatibility.js';
+import { checkDeliverability } from './deliverability.js';
+import { extractLinks, validateLinks, findReplaceHrefs, getLinkUpdates } from './links.js';
+import { escapeHTML } from './sanitize.js';
+import { MERGE_TAG_DIALECTS } from './mergeTags.js';
+import { ESP_ADAPTERS, hasUnsubscribeLink } from './esp.js';
+import { importEmailHTML } from './htmlImport.js';
 
 class EmailBuilderApp {
     constructor() {
         this.previewModal = null;
         this.templatesModal = null;
         this.previewMode = 'desktop';
+        this.previewDark = false;
+        this.previewAudience = ''; // Sample audience name ('' = all blocks, fallback values)
         this.initialized = false;
     }
 
@@ -475,6 +485,11 @@ class EmailBuilderApp {
             });
         }
         
+        // Links
+        document.getElementById('linksBtn')?.addEventListener('click', () => {
+            this.openLinksPanel();
+        });
+        
         // Import
         document.getElementById('importBtn')?.addEventListener('click', () => {
             this.handleImport();
@@ -490,6 +505,16 @@ class EmailBuilderApp {
             this.openTemplates();
         });
         
+        // Canvas desktop/mobile editing view
+        document.querySelectorAll('[data-canvas-view]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                canvasManager.setViewMode(btn.dataset.canvasView);
+                document.querySelectorAll('[data-canvas-view]').forEach(other => {
+                    other.classList.toggle('active', other === btn);
+                });
+            });
+        });
+        
         // Clear canvas
         document.getElementById('clearCanvasBtn')?.addEventListener('click', () => {
             if (confirm('Clear all blocks? This cannot be undone.')) {
@@ -523,7 +548,8 @@ class EmailBuilderApp {
      * Handle save template
      */
     handleSave() {
-        const name = prompt('Enter template name:', `Template ${new Date().toLocaleDateString()}`);
+        const { subject } = emailModel.getMetadata();
+        const name = prompt('Enter template name:', subject || `Template ${new Date().toLocaleDateString()}`);
         if (!name) return;
         
         storageManager.saveTemplate(name, (templateId, thumbnail) => {
@@ -542,9 +568,41 @@ class EmailBuilderApp {
         if (!modal) return;
         
         modal.classList.add('active');
+        this.updateAudienceOptions();
         this.updatePreview();
     }
 
+    /**
+     * Fill the sample audience picker from the template's sample data
+     */
+    updateAudienceOptions() {
+        const select = document.getElementById('previewAudienceSelect');
+        if (!select) return;
+        
+        const audiences = Object.keys(emailModel.getSampleData());
+        if (!audiences.includes(this.previewAudience)) {
+            this.previewAudience = '';
+        }
+        
+        select.innerHTML = '';
+        [{ value: '', label: 'All blocks (fallbacks)' }, ...audiences.map(name => ({ value: name, label: `👤 ${name}` }))]
+            .forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                option.selected = value === this.previewAudience;
+                select.appendChild(option);
+            });
+        select.disabled = audiences.length === 0;
+    }
+
+    /**
+     * Get the selected sample audience's values (null = no audience)
+     */
+    getPreviewAudience() {
+        return this.previewAudience ? emailModel.getSampleData()[this.previewAudience] || null : null;
+    }
+
     /**
      * Close preview modal
      */
@@ -562,10 +620,29 @@ class EmailBuilderApp {
         const previewFrame = document.getElementById('previewFrame');
         if (!previewFrame) return;
         
-        // Get preview HTML
+        // Plain-text mode shows the text/plain part instead of the iframe
+        if (this.previewMode === 'text') {
+            const pre = document.createElement('pre');
+            pre.className = 'preview-text';
+            pre.textContent = emailExporter.exportText({
+                mergeTagDialect: 'preview',
+                previewAudience: this.getPreviewAudience(),
+                tracking: null
+            });
+            previewFrame.innerHTML = '';
+            previewFrame.appendChild(pre);
+            previewFrame.className = 'preview-frame text';
+            return;
+        }
+        
+        // Get preview HTML (metadata and layout come from the template settings;
+        // merge tags and visibility rules use the selected sample audience;
+        // tracking is left out so previews don't count as opens or clicks)
         const html = emailExporter.exportHTML({
-            subject: 'Email Preview',
-            contentWidth: '600px' // Standard email width - CSS will make it responsive
+            forceDarkMode: this.previewDark,
+            mergeTagDialect: 'preview',
+            previewAudience: this.getPreviewAudience(),
+            tracking: null
         });
         
         // Create iframe
@@ -648,12 +725,39 @@ class EmailBuilderApp {
 
     /**
      * Handle export based on type
-     * @param {string} exportType - 'html-clipboard', 'html-download', or 'json'
+     * @param {string} exportType - 'html-clipboard', 'html-download', 'html-minified-clipboard',
+     *   'html-minified-download', 'html-hybrid-clipboard', 'html-hybrid-download', 'text-clipboard', 'text-download', 'mjml-clipboard', 'mjml-download',
+     *   'eml-download', 'package-download', 'amp-download', 'size-report', 'accessibility-report',
+     *   'compatibility-report', 'spam-report', 'json', or 'esp-<target>' (key of ESP_ADAPTERS)
      */
     handleExport(exportType) {
+        const minify = exportType === 'html-minified-clipboard' || exportType === 'html-minified-download';
+        const layout = exportType === 'html-hybrid-clipboard' || exportType === 'html-hybrid-download' ? 'hybrid' : 'table';
+        
+        // JSON and reports keep the neutral {{tags}}; every other export rewrites them
+        const reports = ['size-report', 'accessibility-report', 'compatibility-report', 'spam-report'];
+        if (exportType !== 'json' && !reports.includes(exportType) && !this.confirmMergeTags()) {
+            return;
+        }
+        
+        // ESP exports use the ESP's dialect, the others the template's
+        const esp = exportType.startsWith('esp-') ? ESP_ADAPTERS[exportType.slice(4)] : null;
+        const dialect = esp ? esp.mergeTagDialect : emailModel.getSettings().mergeTagDialect;
+        if (exportType !== 'json' && !reports.includes(exportType) && !this.confirmRepeaters(dialect)) {
+            return;
+        }
+        
+        if (exportType.startsWith('esp-')) {
+            this.exportForESP(exportType.slice(4));
+            return;
+        }
+        
         switch (exportType) {
             case 'html-clipboard':
-                emailExporter.copyToClipboard().then(success => {
+            case 'html-minified-clipboard':
+            case 'html-hybrid-clipboard':
+                if (!this.confirmSizeBudget({ minify, layout })) break;
+                emailExporter.copyToClipboard({ minify, layout }).then(success => {
                     if (success) {
                         alert('HTML copied to clipboard!');
                     } else {
@@ -663,13 +767,110 @@ class EmailBuilderApp {
                 break;
                 
             case 'html-download':
-                const filename = prompt('Enter filename:', 'email-template.html');
+            case 'html-minified-download':
+            case 'html-hybrid-download':
+                if (!this.confirmSizeBudget({ minify, layout })) break;
+                const filename = prompt('Enter filename:', minify ? 'email-template.min.html' : layout === 'hybrid' ? 'email-template.hybrid.html' : 'email-template.html');
                 if (filename) {
-                    emailExporter.downloadHTML(filename);
+                    emailExporter.downloadHTML(filename, { minify, layout });
                     alert('HTML downloaded!');
                 }
                 break;
                 
+            case 'mjml-clipboard':
+                emailExporter.copyMJMLToClipboard().then(success => {
+                    if (success) {
+                        alert('MJML copied to clipboard!');
+                    } else {
+                        alert('Failed to copy. Try downloading instead.');
+                    }
+                });
+                break;
+                
+            case 'mjml-download':
+                const mjmlFilename = prompt('Enter filename:', 'email-template.mjml');
+                if (mjmlFilename) {
+                    emailExporter.downloadMJML(mjmlFilename);
+                    alert('MJML downloaded!');
+                }
+                break;
+                
+            case 'eml-download':
+                const emlFilename = prompt('Enter filename:', 'email-template.eml');
+                if (emlFilename) {
+                    const embedImages = confirm(
+                        'Embed data-URL and local images as attachments?\n\n' +
+                        'OK = Embed (opens offline), Cancel = Keep image links'
+                    );
+                    emailExporter.downloadEML(emlFilename, { embedImages }).then(() => {
+                        alert('EML message downloaded! Open it in Thunderbird, Outlook or Apple Mail.');
+                    }).catch(error => {
+                        console.error('EML export error:', error);
+                        alert('Failed to export EML message.');
+                    });
+                }
+                break;
+                
+            case 'package-download':
+                const packageFilename = prompt('Enter filename:', 'email-template.zip');
+                if (packageFilename) {
+                    const inlineImages = confirm(
+                        `Inline images up to ${PACKAGE_INLINE_IMAGE_LIMIT / 1024}KB as base64?\n\n` +
+                        'OK = Inline small images (fewer files, but Gmail and Outlook block data-URL images), ' +
+                        'Cancel = Put every image in the images/ folder'
+                    );
+                    emailExporter.downloadPackage(packageFilename, { inlineImages }).then(() => {
+                        alert('Package downloaded! It contains the HTML, minified HTML, plain text, template JSON and local images.');
+                    }).catch(error => {
+                        console.error('Package export error:', error);
+                        alert('Failed to export package.');
+                    });
+                }
+                break;
+                
+            case 'amp-download':
+                if (!this.checkAMPValidation()) break;
+                const ampFilename = prompt('Enter filename:', 'email-template.amp.html');
+                if (ampFilename) {
+                    emailExporter.downloadAMP(ampFilename);
+                    alert('AMP HTML downloaded!');
+                }
+                break;
+                
+            case 'size-report':
+                this.openSizeReport();
+                break;
+                
+            case 'accessibility-report':
+                this.openAccessibilityReport();
+                break;
+                
+            case 'compatibility-report':
+                this.openCompatibilityReport();
+                break;
+                
+            case 'spam-report':
+                this.openSpamReport();
+                break;
+                
+            case 'text-clipboard':
+                emailExporter.copyTextToClipboard().then(success => {
+                    if (success) {
+                        alert('Plain text copied to clipboard!');
+                    } else {
+                        alert('Failed to copy. Try downloading instead.');
+                    }
+                });
+                break;
+                
+            case 'text-download':
+                const textFilename = prompt('Enter filename:', 'email-template.txt');
+                if (textFilename) {
+                    emailExporter.downloadText(textFilename);
+                    alert('Plain text downloaded!');
+                }
+                break;
+                
             case 'json':
                 this.exportTemplateJSON();
                 alert('Template exported as JSON! Share this file with others to import.');
@@ -680,6 +881,418 @@ class EmailBuilderApp {
         }
     }
 
+    /**
+     * Download HTML for an ESP (its merge tags, unsubscribe link and editable regions)
+     * @param {string} esp - Key of ESP_ADAPTERS
+     */
+    exportForESP(esp) {
+        const adapter = ESP_ADAPTERS[esp];
+        if (!adapter) {
+            console.error('Unknown ESP:', esp);
+            return;
+        }
+        
+        if (!hasUnsubscribeLink(emailModel.getAllBlocksFlat()) && !confirm(
+            `No footer has an unsubscribe link, so ${adapter.label}'s unsubscribe tag can't be added.\n` +
+            'Add a footer link named "Unsubscribe" first, or export anyway?'
+        )) {
+            return;
+        }
+        if (!this.confirmSizeBudget({ esp })) return;
+        
+        const filename = prompt('Enter filename:', `email-template.${esp}.html`);
+        if (filename) {
+            emailExporter.downloadHTML(filename, { esp });
+            alert(`${adapter.label} HTML downloaded!`);
+        }
+    }
+
+    /**
+     * Warn before exporting when merge tags are used but not declared
+     * Undeclared tags are exported as-is and would reach subscribers verbatim
+     * @returns {boolean} - True if export should continue
+     */
+    confirmMergeTags() {
+        const results = emailExporter.validateMergeTags();
+        if (results.length === 0) return true;
+        
+        const lines = results.map(result => `- ${result.label}: ${result.names.map(name => `{{${name}}}`).join(', ')}`);
+        return confirm(
+            'These merge tags are not declared in the template variables:\n' +
+            lines.join('\n') +
+            '\n\nDeclare them (with a fallback) in the Personalization panel, or export anyway?'
+        );
+    }
+
+    /**
+     * Warn before exporting repeater rows with a dialect that has no loops
+     * Their children are exported once and item tags reach subscribers verbatim
+     * @param {string} dialect - Merge tag dialect of the export
+     * @returns {boolean} - True if export should continue
+     */
+    confirmRepeaters(dialect) {
+        const results = emailExporter.validateRepeaters(dialect);
+        if (results.length === 0) return true;
+        
+        const lines = results.map(result => {
+            const tags = result.names.length > 0 ? result.names.map(name => `{{${name}}}`).join(', ') : 'no item tags';
+            return `- ${result.label} repeating ${result.collection}: ${tags}`;
+        });
+        return confirm(
+            `${MERGE_TAG_DIALECTS[dialect].label} has no loops, so these repeater rows are exported once ` +
+            'and their item tags are not replaced:\n' +
+            lines.join('\n') +
+            '\n\nRemove the repeater or use a dialect with loops, or export anyway?'
+        );
+    }
+
+    /**
+     * Warn before exporting HTML that Gmail would clip
+     * @param {Object} options - Export options (minify, layout)
+     * @returns {boolean} - True if export should continue
+     */
+    confirmSizeBudget(options = {}) {
+        const report = emailExporter.getSizeReport(options);
+        if (!report.overLimit) return true;
+        
+        const formatKB = (bytes) => `${(bytes / 1024).toFixed(1)}KB`;
+        const minifyHint = !options.minify && report.minifiedBytes <= report.limit
+            ? `\nThe minified export is ${formatKB(report.minifiedBytes)} and fits - consider using it instead.`
+            : '';
+        
+        return confirm(
+            `This email is ${formatKB(report.totalBytes)}, over Gmail's ${formatKB(report.limit)} limit.\n` +
+            'Gmail will clip it and hide the rest behind "View entire message".' +
+            minifyHint +
+            '\n\nExport anyway?'
+        );
+    }
+
+    /**
+     * Validate AMP output and list violations per block
+     * @returns {boolean} - True if the template is valid AMP and export can continue
+     */
+    checkAMPValidation() {
+        const results = emailExporter.validateAMP();
+        if (results.length === 0) return true;
+        
+        const violationCount = results.reduce((total, result) => total + result.violations.length, 0);
+        const rows = results.map(result => this.renderReportRow(result.blockId, `
+                <td><strong>${escapeHTML(result.label)}</strong></td>
+                <td>
+                    <ul class="report-list">
+                        ${result.violations.map(violation => `<li>${violation.replace(/</g, '&lt;')}</li>`).join('')}
+                    </ul>
+                </td>
+        `)).join('');
+        
+        this.openReport('AMP Validation', `
+            <div class="report-summary report-error">
+                ${violationCount} AMP rule violation(s) - fix them before exporting AMP.
+                <br>Click a block to select it on the canvas.
+            </div>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Block</th><th>Violations</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `);
+        
+        return false;
+    }
+
+    /**
+     * Show the accessibility audit with one-click fixes
+     */
+    openAccessibilityReport() {
+        const issues = auditAccessibility();
+        this.accessibilityIssues = issues;
+        
+        if (issues.length === 0) {
+            this.openReport('Accessibility Check', `
+                <div class="report-summary">No accessibility issues found.</div>
+            `);
+            return;
+        }
+        
+        const rows = issues.map((issue, index) => this.renderReportRow(issue.blockId, `
+                <td><strong>${escapeHTML(issue.label)}</strong></td>
+                <td>${escapeHTML(issue.message)}</td>
+                <td>${issue.fix ? `<button type="button" class="report-fix-btn" data-fix-index="${index}">${escapeHTML(issue.fix.label)}</button>` : ''}</td>
+        `)).join('');
+        
+        this.openReport('Accessibility Check', `
+            <div class="report-summary report-error">
+                ${issues.length} accessibility issue(s) found.
+                <br>Click a block to select it on the canvas.
+            </div>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Block</th><th>Issue</th><th>Fix</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `);
+    }
+
+    /**
+     * Apply a fix from the accessibility report and refresh it
+     * @param {number} index - Index of the issue in the last audit
+     */
+    applyAccessibilityFix(index) {
+        const issue = (this.accessibilityIssues || [])[index];
+        if (!issue || !issue.fix) return;
+        
+        let updates = issue.fix.updates || {};
+        if (issue.fix.prompt) {
+            const value = prompt(issue.fix.prompt.message, issue.fix.prompt.value);
+            if (value === null || value.trim() === '') return;
+            updates = { [issue.fix.prompt.key]: value.trim() };
+        }
+        
+        if (issue.fix.scope === 'template') {
+            emailModel.updateMetadata(updates);
+            propertiesManager.updatePanel();
+        } else {
+            emailModel.updateBlock(issue.blockId, updates);
+        }
+        
+        this.openAccessibilityReport();
+    }
+
+    /**
+     * Show which CSS declarations each email client drops, per block
+     */
+    openCompatibilityReport() {
+        const results = emailExporter.checkClientCompatibility();
+        
+        if (results.length === 0) {
+            this.openReport('Client Compatibility', `
+                <div class="report-summary">No known client compatibility issues.</div>
+            `);
+            return;
+        }
+        
+        const formatClients = (clients) => clients
+            .map(({ client, support }) => `${EMAIL_CLIENTS[client]}${support === 'partial' ? ' (partial)' : ''}`)
+            .join(', ');
+        
+        const issueCount = results.reduce((total, result) => total + result.issues.length, 0);
+        const rows = results.map(result => this.renderReportRow(result.blockId, `
+                <td><strong>${escapeHTML(result.label)}</strong></td>
+                <td>
+                    <ul class="report-list">
+                        ${result.issues.map(issue => `
+                            <li>
+                                <code>${escapeHTML(issue.declaration)}</code> on &lt;${escapeHTML(issue.element)}&gt;
+                                - dropped in ${escapeHTML(formatClients(issue.clients))}
+                                <br><span class="hint">${escapeHTML(issue.note)}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </td>
+        `)).join('');
+        
+        this.openReport('Client Compatibility', `
+            <div class="report-summary">
+                ${issueCount} declaration(s) won't render everywhere. Most have fallbacks already
+                (e.g. VML buttons for Outlook) - check the ones your audience's clients drop.
+                <br>Click a block to select it on the canvas.
+            </div>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Block</th><th>Declarations</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `);
+    }
+
+    /**
+     * Show the local spam score and the rules that fired
+     */
+    openSpamReport() {
+        const report = checkDeliverability();
+        const overThreshold = report.score >= report.threshold;
+        
+        const rows = report.hits.map(hit => this.renderReportRow(hit.blockId, `
+                <td><strong>${escapeHTML(hit.label)}</strong></td>
+                <td>
+                    <code>${escapeHTML(hit.rule)}</code>
+                    <br>${escapeHTML(hit.message)}
+                </td>
+                <td class="report-number">${hit.score.toFixed(1)}</td>
+        `)).join('');
+        
+        this.openReport('Spam Check', `
+            <div class="report-summary ${overThreshold ? 'report-error' : ''}">
+                Score: <strong>${report.score.toFixed(1)}</strong> (filters usually act at ${report.threshold.toFixed(1)})
+                ${overThreshold ? ' - likely to be filtered as spam.' : report.hits.length > 0 ? ' - fixing these still helps deliverability.' : ' - no content rules fired.'}
+                ${report.hits.length > 0 ? '<br>Click a block to select it on the canvas.' : ''}
+            </div>
+            ${report.hits.length > 0 ? `
+                <table class="report-table">
+                    <thead>
+                        <tr><th>Block</th><th>Rule</th><th class="report-number">Points</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : ''}
+        `);
+    }
+
+    /**
+     * Show every link with its problems, editable in bulk
+     */
+    openLinksPanel() {
+        const links = extractLinks();
+        const problems = validateLinks(links);
+        this.links = links;
+        
+        if (links.length === 0) {
+            this.openReport('Links', `
+                <div class="report-summary">The template has no links.</div>
+            `);
+            return;
+        }
+        
+        const problemCount = Object.keys(problems).length;
+        const rows = links.map(link => this.renderReportRow(link.blockId, `
+                <td><strong>${escapeHTML(link.blockLabel)}</strong><br><span class="hint">${escapeHTML(link.label)}</span></td>
+                <td><input type="text" class="links-href-input" data-link-id="${escapeHTML(link.id)}" value="${escapeHTML(link.href)}"></td>
+                <td>
+                    ${problems[link.id] ? `
+                        <ul class="report-list links-problems">
+                            ${problems[link.id].map(problem => `<li>${escapeHTML(problem)}</li>`).join('')}
+                        </ul>
+                    ` : '<span class="hint">OK</span>'}
+                </td>
+        `)).join('');
+        
+        this.openReport('Links', `
+            <div class="report-summary ${problemCount > 0 ? 'report-error' : ''}">
+                ${links.length} link(s), ${problemCount > 0 ? `${problemCount} with problems` : 'no problems found'}.
+                <br>Edit URLs below and apply them together - one undo step reverts all of them.
+            </div>
+            <div class="links-toolbar">
+                <input type="text" id="linksFindInput" placeholder="Find in URLs">
+                <input type="text" id="linksReplaceInput" placeholder="Replace with">
+                <button type="button" class="report-fix-btn" data-links-action="replace">Replace All</button>
+                <button type="button" class="report-fix-btn" data-links-action="apply">Apply Changes</button>
+            </div>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Block / Label</th><th>URL</th><th>Problems</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `);
+    }
+
+    /**
+     * Apply the links panel edits (or a find & replace) as one undoable change
+     * @param {string} action - 'apply' (edited inputs) or 'replace' (find & replace)
+     */
+    applyLinkChanges(action) {
+        const links = this.links || [];
+        let changes = {};
+        
+        if (action === 'replace') {
+            const find = document.getElementById('linksFindInput')?.value || '';
+            const replace = document.getElementById('linksReplaceInput')?.value || '';
+            if (!find) {
+                alert('Enter the text to find.');
+                return;
+            }
+            changes = findReplaceHrefs(links, find, replace);
+            if (Object.keys(changes).length === 0) {
+                alert(`No URL contains "${find}".`);
+                return;
+            }
+        } else {
+            document.querySelectorAll('#reportBody [data-link-id]').forEach(input => {
+                changes[input.dataset.linkId] = input.value.trim();
+            });
+        }
+        
+        const updatesById = getLinkUpdates(links, changes);
+        if (Object.keys(updatesById).length === 0) {
+            alert('No links changed.');
+            return;
+        }
+        
+        emailModel.updateBlocks(updatesById);
+        this.openLinksPanel();
+    }
+
+    /**
+     * Show size report (total and per-block bytes)
+     */
+    openSizeReport() {
+        const report = emailExporter.getSizeReport();
+        const formatKB = (bytes) => `${(bytes / 1024).toFixed(1)}KB`;
+        const percent = Math.round((report.totalBytes / report.limit) * 100);
+        const minifiedPercent = Math.round((report.minifiedBytes / report.limit) * 100);
+        
+        const rows = report.blocks.map(block => this.renderReportRow(block.id, `
+                <td style="padding-left: ${8 + block.depth * 16}px;">${escapeHTML(block.label)}</td>
+                <td class="report-number">${formatKB(block.bytes)}</td>
+                <td class="report-number">${Math.round((block.bytes / report.totalBytes) * 100)}%</td>
+        `)).join('');
+        
+        this.openReport('Size Report', `
+            <div class="report-summary ${report.overLimit ? 'report-error' : ''}">
+                <strong>${formatKB(report.totalBytes)}</strong> of ${formatKB(report.limit)} Gmail budget (${percent}%)
+                <br>Minified: <strong>${formatKB(report.minifiedBytes)}</strong> (${minifiedPercent}%)
+                ${report.overLimit ? '<br>⚠️ Gmail will clip this email.' : ''}
+            </div>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Block</th><th class="report-number">Size</th><th class="report-number">Share</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `);
+    }
+
+    /**
+     * Build a row of the report modal
+     * @param {string} blockId - Block selected when the row is clicked (optional)
+     * @param {string} cells - Row cells HTML
+     * @returns {string} - Row HTML
+     */
+    renderReportRow(blockId, cells) {
+        return `<tr class="report-row"${blockId ? ` data-block-id="${escapeHTML(blockId)}"` : ''}>${cells}</tr>`;
+    }
+
+    /**
+     * Open the shared report modal
+     * Rows with data-block-id select that block on the canvas when clicked
+     * @param {string} title - Modal title
+     * @param {string} html - Report body HTML
+     */
+    openReport(title, html) {
+        const modal = document.getElementById('reportModal');
+        const titleEl = document.getElementById('reportTitle');
+        const body = document.getElementById('reportBody');
+        if (!modal || !titleEl || !body) return;
+        
+        titleEl.textContent = title;
+        body.innerHTML = html;
+        modal.classList.add('active');
+    }
+
+    /**
+     * Close the report modal
+     */
+    closeReport() {
+        const modal = document.getElementById('reportModal');
+        if (modal) {
+            modal.classList.remove('active');
+        }
+    }
+
     /**
      * Handle import - trigger file input
      */
@@ -697,13 +1310,21 @@ class EmailBuilderApp {
         if (!file) return;
         
         // Validate file type
-        if (!file.name.endsWith('.json') && !file.name.endsWith('.txt')) {
-            alert('Please import a JSON file (.json or .txt)');
+        const isHTML = /\.html?$/i.test(file.name);
+        if (!file.name.endsWith('.json') && !file.name.endsWith('.txt') && !isHTML) {
+            alert('Please import a JSON template (.json or .txt) or an HTML email (.html)');
             return;
         }
         
         try {
             const text = await file.text();
+            
+            // Existing emails are converted to blocks
+            if (isHTML) {
+                this.importHTMLEmail(text);
+                return;
+            }
+            
             const jsonData = JSON.parse(text);
             
             // Validate JSON structure
@@ -728,13 +1349,49 @@ class EmailBuilderApp {
         } catch (error) {
             console.error('Import error:', error);
             alert(`Failed to import: ${error.message || 'Invalid file format'}`);
+        } finally {
+            // Reset file input
+            const fileInput = document.getElementById('importFileInput');
+            if (fileInput) {
+                fileInput.value = '';
+            }
+        }
+    }
+
+    /**
+     * Import an existing HTML email as blocks and summarize the conversion
+     * @param {string} html - Email HTML
+     */
+    importHTMLEmail(html) {
+        const { blocks, metadata, summary } = importEmailHTML(html);
+        if (blocks.length === 0) {
+            throw new Error('No email content found in the HTML file');
         }
         
-        // Reset file input
-        const fileInput = document.getElementById('importFileInput');
-        if (fileInput) {
-            fileInput.value = '';
+        const confirmReplace = confirm(
+            `Import ${blocks.length} block(s) from this HTML email?\n\n` +
+            'OK = Replace your current canvas, Cancel = Append to existing blocks'
+        );
+        // One undo step takes the whole import back
+        emailModel.addBlocks(blocks, confirmReplace);
+        if (confirmReplace) {
+            emailModel.updateMetadata(metadata);
         }
+        
+        const converted = Object.entries(summary.counts)
+            .filter(([type]) => type !== 'html')
+            .map(([type, count]) => `- ${getComponent(type).label}: ${count}`);
+        const lines = [
+            `Converted ${blocks.length - summary.unmapped.length} block(s):`,
+            ...(converted.length > 0 ? converted : ['- none'])
+        ];
+        if (summary.unmapped.length > 0) {
+            lines.push('', `Kept as Custom HTML (${summary.unmapped.length}):`, ...summary.unmapped.map(description => `- ${description}`));
+        }
+        if (summary.notes.length > 0) {
+            lines.push('', ...summary.notes);
+        }
+        alert(lines.join('\n'));
     }
 
     /**
@@ -931,7 +1588,7 @@ class EmailBuilderApp {
         // Preview mode toggles
         document.getElementById('previewDesktopBtn')?.addEventListener('click', () => {
             this.previewMode = 'desktop';
-            document.querySelectorAll('.preview-toggle').forEach(btn => {
+            document.querySelectorAll('.preview-toggle[data-mode]').forEach(btn => {
                 btn.classList.remove('active');
             });
             document.getElementById('previewDesktopBtn')?.classList.add('active');
@@ -940,13 +1597,35 @@ class EmailBuilderApp {
         
         document.getElementById('previewMobileBtn')?.addEventListener('click', () => {
             this.previewMode = 'mobile';
-            document.querySelectorAll('.preview-toggle').forEach(btn => {
+            document.querySelectorAll('.preview-toggle[data-mode]').forEach(btn => {
                 btn.classList.remove('active');
             });
             document.getElementById('previewMobileBtn')?.classList.add('active');
             this.updatePreview();
         });
         
+        document.getElementById('previewTextBtn')?.addEventListener('click', () => {
+            this.previewMode = 'text';
+            document.querySelectorAll('.preview-toggle[data-mode]').forEach(btn => {
+                btn.classList.remove('active');
+            });
+            document.getElementById('previewTextBtn')?.classList.add('active');
+            this.updatePreview();
+        });
+        
+        // Dark mode is independent of the desktop/mobile mode
+        document.getElementById('previewDarkBtn')?.addEventListener('click', () => {
+            this.previewDark = !this.previewDark;
+            document.getElementById('previewDarkBtn')?.classList.toggle('active', this.previewDark);
+            this.updatePreview();
+        });
+        
+        // Sample audience evaluates visibility rules and fills merge tags
+        document.getElementById('previewAudienceSelect')?.addEventListener('change', (e) => {
+            this.previewAudience = e.target.value;
+            this.updatePreview();
+        });
+        
         // Close modal on background click
         this.previewModal?.addEventListener('click', (e) => {
             if (e.target === this.previewModal) {
@@ -954,6 +1633,41 @@ class EmailBuilderApp {
             }
         });
         
+        // Report modal (size report and other audits)
+        const reportModal = document.getElementById('reportModal');
+        
+        document.getElementById('closeReportBtn')?.addEventListener('click', () => {
+            this.closeReport();
+        });
+        
+        reportModal?.addEventListener('click', (e) => {
+            if (e.target === reportModal) {
+                this.closeReport();
+                return;
+            }
+            
+            // One-click fixes (accessibility report)
+            const fixButton = e.target.closest('[data-fix-index]');
+            if (fixButton) {
+                this.applyAccessibilityFix(parseInt(fixButton.dataset.fixIndex, 10));
+                return;
+            }
+            
+            // Bulk link edits (links panel)
+            const linksButton = e.target.closest('[data-links-action]');
+            if (linksButton) {
+                this.applyLinkChanges(linksButton.dataset.linksAction);
+                return;
+            }
+            
+            // Jump to the block a report row refers to
+            const row = e.target.closest('[data-block-id]');
+            if (row && !e.target.closest('button, a, input, select, textarea')) {
+                this.closeReport();
+                emailModel.selectBlock(row.dataset.blockId);
+            }
+        });
+        
         // Templates modal
         this.templatesModal = document.getElementById('templatesModal');
         
@@ -9,11 +9,20 @@
  * - Reordering blocks within canvas
  * - Block selection
  * - Block controls (duplicate, delete)
+ * - Template settings (width, colors, font stack) on the canvas frame
+ * - Registered web fonts loaded into the editor page
+ * - Desktop / mobile editing view (mobile overrides applied live)
  */
 
 import { emailModel } from './model.js';
 import { storageManager } from './storage.js';
-import { getComponent, renderBlockHTML } from './components.js';
+import { getComponent, renderBlockHTML, getSafeBlockData, getBlockClass } from './components.js';
+import { emailExporter } from './exporter.js';
+import { getContentClass } from './responsive.js';
+import { getVisibilityRule, describeRule } from './conditions.js';
+import { getRepeater } from './loops.js';
+import { escapeHTML } from './sanitize.js';
+import { buildFontStylesheet } from './fonts.js';
 
 class CanvasManager {
     constructor() {
@@ -21,6 +30,7 @@ class CanvasManager {
         this.emptyState = null;
         this.sortableInstance = null;
         this.rowSortableInstances = new Map(); // Track sortable instances for each row
+        this.viewMode = 'desktop'; // 'desktop' or 'mobile' editing width
         this.dragDropHandlers = {
             componentsList: {
                 dragstart: null,
@@ -50,6 +60,16 @@ class CanvasManager {
         // Listen for model changes
         emailModel.on('blocksChanged', () => this.render());
         emailModel.on('selectionChanged', () => this.updateSelection());
+        emailModel.on('settingsChanged', () => {
+            this.applySettings();
+            this.render();
+        });
+        emailModel.on('fontsChanged', () => {
+            this.applyFonts();
+            this.render();
+        });
+        this.applySettings();
+        this.applyFonts();
         
         // Deselect block when clicking outside canvas
         this.setupClickOutsideDeselect();
@@ -135,6 +155,7 @@ class CanvasManager {
         if (!this.canvas) return;
         
         const blocks = emailModel.getAllBlocks();
+        this.applyMobileStyles();
         
         // Show/hide empty state
         if (blocks.length === 0) {
@@ -149,6 +170,63 @@ class CanvasManager {
         this.setupSortable();
     }
 
+    /**
+     * Apply template settings to the canvas frame
+     * Uses CSS variables so drag-over highlighting can still override inline
+     */
+    applySettings() {
+        if (!this.canvas) return;
+        
+        const settings = emailModel.getSettings();
+        const container = this.canvas.parentElement;
+        
+        if (container) {
+            container.style.setProperty('--canvas-backdrop', settings.backgroundColor);
+        }
+        this.canvas.style.setProperty('--canvas-background', settings.containerBackgroundColor);
+        this.canvas.style.setProperty('--canvas-content-width', settings.contentWidth);
+        this.canvas.style.setProperty('--canvas-outer-padding', settings.outerPadding);
+        this.canvas.style.setProperty('--canvas-font-family', settings.fontFamily);
+    }
+
+    /**
+     * Load the registered web fonts into the editor page
+     * so blocks on the canvas show them
+     */
+    applyFonts() {
+        let style = document.getElementById('canvasFontStyles');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'canvasFontStyles';
+            document.head.appendChild(style);
+        }
+        style.textContent = buildFontStylesheet(emailModel.getFonts());
+    }
+
+    /**
+     * Switch between the desktop and the mobile editing view
+     * @param {string} mode - 'desktop' or 'mobile'
+     */
+    setViewMode(mode) {
+        this.viewMode = mode === 'mobile' ? 'mobile' : 'desktop';
+        this.canvas?.classList.toggle('mobile-view', this.viewMode === 'mobile');
+        this.applyMobileStyles();
+    }
+
+    /**
+     * Apply the blocks' mobile overrides in the mobile view
+     * (the exported email has the same rules inside its media query)
+     */
+    applyMobileStyles() {
+        let style = document.getElementById('canvasMobileStyles');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'canvasMobileStyles';
+            document.head.appendChild(style);
+        }
+        style.textContent = this.viewMode === 'mobile' ? emailExporter.buildMobileCSS() : '';
+    }
+
     /**
      * Render blocks array
      */
@@ -270,6 +348,26 @@ class CanvasManager {
         controls.appendChild(saveBtn);
         controls.appendChild(deleteBtn);
         
+        // Conditional blocks show their rule
+        const rule = getVisibilityRule(block.data);
+        if (rule) {
+            wrapper.classList.add('conditional');
+            wrapper.insertAdjacentHTML('beforeend', this.renderConditionBadge(rule));
+        }
+        
+        // Repeated rows show their collection
+        const repeater = block.type === 'row' ? getRepeater(block.data) : null;
+        if (repeater) {
+            wrapper.insertAdjacentHTML('beforeend', this.renderRepeatBadge(repeater));
+        }
+        
+        // Blocks hidden on one kind of screen are dimmed in that view
+        if (block.data.hideOnMobile || block.data.hideOnDesktop) {
+            wrapper.classList.toggle('hide-on-mobile', Boolean(block.data.hideOnMobile));
+            wrapper.classList.toggle('hide-on-desktop', Boolean(block.data.hideOnDesktop));
+            wrapper.insertAdjacentHTML('beforeend', this.renderDeviceBadge(block.data));
+        }
+        
         // Block content (this shows preview of email HTML)
         const content = document.createElement('div');
         content.className = 'canvas-block-content';
@@ -410,6 +508,13 @@ class CanvasManager {
         const component = getComponent(block.type);
         if (!component) return '';
         
+        // Block data is escaped/sanitized before it reaches any markup
+        // (the block class lets the mobile view apply the block's overrides)
+        const data = {
+            ...getSafeBlockData(block, { templateFontFamily: emailModel.getSettings().fontFamily }),
+            blockClass: getBlockClass(block.id)
+        };
+        
         // Handle row component with nested children
         if (block.type === 'row') {
             const childBlocks = emailModel.getChildBlocks(block.id);
@@ -418,21 +523,27 @@ class CanvasManager {
                 const childrenHTML = childBlocks.map(childBlock => {
                     const childPreview = this.renderBlockPreview(childBlock);
                     const blockId = childBlock.id;
-                    return `<div class="row-child-block" data-child-block-id="${blockId}" draggable="true">
+                    const childRule = getVisibilityRule(childBlock.data);
+                    const childRepeater = childBlock.type === 'row' ? getRepeater(childBlock.data) : null;
+                    const deviceClasses = `${childBlock.data.hideOnMobile ? ' hide-on-mobile' : ''}${childBlock.data.hideOnDesktop ? ' hide-on-desktop' : ''}`;
+                    return `<div class="row-child-block${childRule ? ' conditional' : ''}${deviceClasses}" data-child-block-id="${escapeHTML(blockId)}" draggable="true">
+                        ${childRule ? this.renderConditionBadge(childRule) : ''}
+                        ${childRepeater ? this.renderRepeatBadge(childRepeater) : ''}
+                        ${deviceClasses ? this.renderDeviceBadge(childBlock.data) : ''}
                         <div class="row-child-block-controls">
-                            <button type="button" class="block-control-btn" title="Duplicate" data-action="duplicate" data-block-id="${blockId}">📋</button>
-                            <button type="button" class="block-control-btn" title="Save to Library" data-action="save" data-block-id="${blockId}">💾</button>
-                            <button type="button" class="block-control-btn" title="Delete" data-action="delete" data-block-id="${blockId}">🗑️</button>
+                            <button type="button" class="block-control-btn" title="Duplicate" data-action="duplicate" data-block-id="${escapeHTML(blockId)}">📋</button>
+                            <button type="button" class="block-control-btn" title="Save to Library" data-action="save" data-block-id="${escapeHTML(blockId)}">💾</button>
+                            <button type="button" class="block-control-btn" title="Delete" data-action="delete" data-block-id="${escapeHTML(blockId)}">🗑️</button>
                         </div>
                         <div class="row-child-block-content">${childPreview}</div>
                     </div>`;
                 }).join('');
                 
                 // Create a wrapper for the row content
-                const gap = block.data.gap || '20px';
+                const gap = data.gap || '20px';
                 return `
-                    <div class="row-container" style="background-color: ${block.data.backgroundColor || '#ffffff'}; padding: ${block.data.padding || '20px'};">
-                        <div class="row-children" data-row-id="${block.id}" style="display: flex; flex-direction: column; gap: ${gap};">
+                    <div class="row-container ${getContentClass(data.blockClass)}" style="background-color: ${data.backgroundColor || '#ffffff'}; padding: ${data.padding || '20px'};">
+                        <div class="row-children" data-row-id="${escapeHTML(block.id)}" style="display: flex; flex-direction: column; gap: ${gap};">
                             ${childrenHTML}
                         </div>
                     </div>
@@ -440,7 +551,7 @@ class CanvasManager {
             } else {
                 // Empty row - show drop zone
                 return `
-                    <div class="row-container row-empty" style="background-color: ${block.data.backgroundColor || '#ffffff'}; padding: ${block.data.padding || '20px'}; min-height: 100px; display: flex; align-items: center; justify-content: center; border: 2px dashed #cbd5e1;">
+                    <div class="row-container row-empty ${getContentClass(data.blockClass)}" style="background-color: ${data.backgroundColor || '#ffffff'}; padding: ${data.padding || '20px'}; min-height: 100px; display: flex; align-items: center; justify-content: center; border: 2px dashed #cbd5e1;">
                         <p style="margin: 0; color: #94a3b8; font-size: 14px;">Drop components here</p>
                     </div>
                 `;
@@ -448,7 +559,34 @@ class CanvasManager {
         }
         
         // Use the email HTML template for preview
-        return component.htmlTemplate(block.data);
+        return component.htmlTemplate(data);
+    }
+
+    /**
+     * Badge for blocks with a visibility rule
+     */
+    renderConditionBadge(rule) {
+        const description = escapeHTML(describeRule(rule));
+        return `<span class="block-condition-badge" title="Shown only when ${description}">👁 ${description}</span>`;
+    }
+
+    /**
+     * Badge for blocks hidden on mobile or on desktop
+     */
+    renderDeviceBadge(data) {
+        const label = data.hideOnMobile && data.hideOnDesktop
+            ? 'Hidden everywhere'
+            : data.hideOnMobile ? 'Hidden on mobile' : 'Mobile only';
+        return `<span class="block-device-badge" title="${label}">📱 ${label}</span>`;
+    }
+
+    /**
+     * Badge for rows repeated over a collection
+     */
+    renderRepeatBadge(repeater) {
+        const collection = escapeHTML(repeater.collection);
+        const itemName = escapeHTML(repeater.itemName);
+        return `<span class="block-repeat-badge" title="Children repeat for each ${itemName} in ${collection}">🔁 ${itemName} in ${collection}</span>`;
     }
 
     /**
@@ -0,0 +1,268 @@
+/**
+ * ========================================
+ * Email Client Compatibility
+ * ========================================
+ *
+ * A small rule database of CSS support in the clients we target, and a
+ * checker that scans rendered email HTML for inline declarations a
+ * client will drop.
+ *
+ * Each client sees its own version of the markup: Outlook renders the
+ * <!--[if mso]> blocks (VML buttons) and skips <!--[if !mso]> fallbacks,
+ * every other client does the opposite. So a button's border-radius is
+ * only reported where the HTML button is actually shown.
+ *
+ * Support data is simplified from caniemail.com - "partial" means the
+ * client supports the property with caveats noted on the rule.
+ */
+
+/**
+ * Clients covered by the rule database
+ */
+export const EMAIL_CLIENTS = {
+    outlook: 'Outlook 2016+ (Windows)',
+    gmail: 'Gmail (web & app)',
+    appleMail: 'Apple Mail / iOS Mail',
+    yahoo: 'Yahoo Mail',
+    samsung: 'Samsung Email'
+};
+
+/**
+ * CSS support rules
+ * - property: CSS property (or list)
+ * - elements: optional tag names the rule applies to (default: any element)
+ * - value: optional pattern the value must match
+ * - support: { client: 'none' | 'partial' } - clients not listed support it
+ * - note: what happens / what to do instead
+ */
+export const CSS_SUPPORT_RULES = [
+    {
+        property: 'border-radius',
+        support: { outlook: 'none' },
+        note: 'Square corners in Outlook - use a VML (bulletproof) button for rounded buttons'
+    },
+    {
+        property: 'max-width',
+        elements: ['table', 'td', 'div', 'img'],
+        support: { outlook: 'none' },
+        note: 'Outlook ignores max-width - set a fixed width attribute, e.g. in an <!--[if mso]> ghost table'
+    },
+    {
+        property: ['margin', 'margin-top', 'margin-bottom', 'margin-left', 'margin-right'],
+        elements: ['table'],
+        support: { outlook: 'partial', yahoo: 'partial' },
+        note: 'Margins on tables are unreliable in Outlook and Yahoo - use padding on the parent cell or a spacer row'
+    },
+    {
+        property: 'display',
+        elements: ['img'],
+        support: { outlook: 'none' },
+        note: 'Outlook ignores display on images - gaps under images need line-height/font-size 0 on the cell'
+    },
+    {
+        property: 'display',
+        value: /\b(flex|inline-flex|grid|inline-grid)\b/,
+        support: { outlook: 'none', gmail: 'partial', yahoo: 'none' },
+        note: 'Flexbox/grid layouts fall apart - use tables'
+    },
+    {
+        property: ['padding', 'padding-top', 'padding-bottom', 'padding-left', 'padding-right'],
+        elements: ['a', 'p', 'div', 'span', 'img', 'h1', 'h2', 'h3'],
+        support: { outlook: 'none' },
+        note: 'Outlook only honours padding on table cells'
+    },
+    {
+        property: ['width', 'height'],
+        elements: ['a', 'span'],
+        support: { outlook: 'none' },
+        note: 'Outlook ignores sizes on inline elements'
+    },
+    {
+        property: ['background-image', 'background'],
+        value: /url\(/,
+        support: { outlook: 'none', gmail: 'partial' },
+        note: 'Outlook needs a VML background; Gmail drops background images in some apps'
+    },
+    {
+        property: ['background-image', 'background', 'background-color', 'color', 'border', 'border-color'],
+        value: /linear-gradient|radial-gradient/,
+        support: { outlook: 'none', yahoo: 'partial' },
+        note: 'Gradients need a solid background-color fallback'
+    },
+    {
+        property: ['color', 'background-color', 'border-color', 'border', 'background'],
+        value: /rgba\(|hsla?\(/,
+        support: { outlook: 'none' },
+        note: 'Outlook drops rgba()/hsl() colors - use hex'
+    },
+    {
+        property: ['box-shadow', 'text-shadow'],
+        support: { outlook: 'none', gmail: 'partial', yahoo: 'partial' },
+        note: 'Shadows are decoration only - don\'t rely on them for contrast'
+    },
+    {
+        property: ['position', 'top', 'left', 'right', 'bottom', 'z-index'],
+        support: { outlook: 'none', gmail: 'none', yahoo: 'none', samsung: 'partial' },
+        note: 'Positioning is stripped by most clients'
+    },
+    {
+        property: ['float', 'clear'],
+        support: { outlook: 'partial' },
+        note: 'Outlook only floats images - use align attributes or table columns'
+    },
+    {
+        property: 'opacity',
+        support: { outlook: 'none' },
+        note: 'Elements stay fully opaque in Outlook'
+    },
+    {
+        property: ['min-width', 'min-height', 'max-height'],
+        support: { outlook: 'none' },
+        note: 'Outlook ignores min/max sizes'
+    },
+    {
+        property: 'object-fit',
+        support: { outlook: 'none', gmail: 'none', yahoo: 'none' },
+        note: 'Crop images before uploading instead'
+    },
+    {
+        property: ['transform', 'transition', 'animation'],
+        support: { outlook: 'none', gmail: 'none', yahoo: 'none' },
+        note: 'Animations and transforms are ignored - the element shows in its initial state'
+    },
+    {
+        property: 'overflow',
+        support: { outlook: 'none', gmail: 'partial' },
+        note: 'Content isn\'t clipped in Outlook'
+    },
+    {
+        property: '*',
+        value: /calc\(/,
+        support: { outlook: 'none', gmail: 'partial' },
+        note: 'calc() is dropped by Outlook and some Gmail apps - use fixed values'
+    },
+    {
+        property: '*',
+        value: /var\(--/,
+        support: { outlook: 'none', gmail: 'none', yahoo: 'none' },
+        note: 'CSS variables are stripped - inline the values'
+    }
+];
+
+/**
+ * Document-level CSS (in <style> blocks) support
+ * - pattern: matched against the <style> contents
+ */
+export const STYLESHEET_SUPPORT_RULES = [
+    {
+        feature: '@media queries',
+        pattern: /@media[^{]*(max|min)-width/,
+        support: { outlook: 'none', gmail: 'partial' },
+        note: 'Outlook shows the desktop layout; Gmail apps with non-Google accounts ignore <style>'
+    },
+    {
+        feature: 'Dark mode (prefers-color-scheme)',
+        pattern: /prefers-color-scheme/,
+        support: { outlook: 'none', gmail: 'none', yahoo: 'none' },
+        note: 'These clients apply their own dark-mode color inversion'
+    }
+];
+
+/**
+ * Get the markup a client renders
+ * @param {string} html - Rendered HTML
+ * @param {string} client - Key of EMAIL_CLIENTS
+ * @returns {string} - HTML with the other clients' conditional content removed
+ */
+function getClientMarkup(html, client) {
+    if (client === 'outlook') {
+        return html
+            // Non-MSO fallbacks are hidden from Outlook
+            .replace(/<!--\[if !mso\]><!-->[\s\S]*?<!--<!\[endif\]-->/gi, '')
+            // MSO-only content is unwrapped
+            .replace(/<!--\[if [^\]]*mso[^\]]*\]>([\s\S]*?)<!\[endif\]-->/gi, '$1');
+    }
+
+    // Unwrap the non-MSO fallbacks first - their opening comment also mentions "mso"
+    return html
+        .replace(/<!--\[if !mso\]><!-->|<!--<!\[endif\]-->/gi, '')
+        .replace(/<!--\[if [^\]]*mso[^\]]*\]>[\s\S]*?<!\[endif\]-->/gi, '');
+}
+
+/**
+ * Find the rules a declaration breaks
+ */
+function matchRules(tag, property, value) {
+    return CSS_SUPPORT_RULES.filter(rule => {
+        const properties = Array.isArray(rule.property) ? rule.property : [rule.property];
+        if (!properties.includes('*') && !properties.includes(property)) return false;
+        if (rule.elements && !rule.elements.includes(tag)) return false;
+        if (rule.value && !rule.value.test(value)) return false;
+        return true;
+    });
+}
+
+/**
+ * Check rendered HTML against the rule database
+ * @param {string} html - Rendered block (or document) HTML
+ * @returns {Array} - Issues [{ declaration, element, clients: [{ client, support }], note }]
+ */
+export function checkCompatibility(html) {
+    const issues = [];
+
+    Object.keys(EMAIL_CLIENTS).forEach(client => {
+        const markup = getClientMarkup(html, client);
+        const tagPattern = /<([a-zA-Z][a-zA-Z0-9:]*)\b[^>]*?\sstyle\s*=\s*(["'])([\s\S]*?)\2[^>]*>/g;
+        let match;
+
+        while ((match = tagPattern.exec(markup)) !== null) {
+            const tag = match[1].toLowerCase();
+
+            match[3].split(';').forEach(declaration => {
+                const separator = declaration.indexOf(':');
+                if (separator === -1) return;
+
+                const property = declaration.slice(0, separator).trim().toLowerCase();
+                const value = declaration.slice(separator + 1).trim();
+                if (!property || property.startsWith('mso-') || property.startsWith('-')) return;
+                // Dropping a zero (margin: 0, border-radius: 0px) changes nothing
+                if (/^(0(px|em|rem|%)?\s*)+$/.test(value)) return;
+
+                matchRules(tag, property, value).forEach(rule => {
+                    const support = rule.support[client];
+                    if (!support) return;
+
+                    const text = `${property}: ${value.replace(/\s+/g, ' ')}`;
+                    let issue = issues.find(item => item.declaration === text && item.element === tag && item.note === rule.note);
+                    if (!issue) {
+                        issue = { declaration: text, element: tag, clients: [], note: rule.note };
+                        issues.push(issue);
+                    }
+                    if (!issue.clients.some(item => item.client === client)) {
+                        issue.clients.push({ client, support });
+                    }
+                });
+            });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Check <style> blocks against the stylesheet rules
+ * @param {string} html - Full email document
+ * @returns {Array} - Issues [{ declaration, element, clients, note }] (element is 'style')
+ */
+export function checkStylesheetCompatibility(html) {
+    const css = (html.match(/<style\b[^>]*>[\s\S]*?<\/style>/gi) || []).join('\n');
+
+    return STYLESHEET_SUPPORT_RULES
+        .filter(rule => rule.pattern.test(css))
+        .map(rule => ({
+            declaration: rule.feature,
+            element: 'style',
+            clients: Object.entries(rule.support).map(([client, support]) => ({ client, support })),
+            note: rule.note
+        }));
+}
@@ -10,15 +10,32 @@
  * - icon: emoji or symbol
  * - description: help text
  * - defaultData: default properties
+ * - richTextFields: optional keys holding rich HTML (sanitized instead of escaped)
+ * - darkColors: optional dark-mode color fields and the CSS they override
+ * - mobileOverrides: optional mobile-only settings (see responsive.js)
+ * - mobileRules: optional function (data, blockClass) returning extra
+ *   rules for the mobile media query (e.g. column stacking)
  * - htmlTemplate: function to generate email-safe HTML
+ * - textTemplate: function to generate the plain-text alternative
+ * - mjmlTemplate: function to generate MJML (for partners' MJML pipelines)
  * 
  * IMPORTANT: Email HTML must use:
  * - Tables for layout (not divs)
  * - Inline styles (no external CSS)
  * - Limited CSS support (no flexbox, grid, etc.)
  * - Web-safe fonts
+ * 
+ * Templates receive data that went through sanitizeBlockData (sanitize.js),
+ * so values can be interpolated as-is.
  */
 
+import { sanitizeBlockData, escapeHTML } from './sanitize.js';
+import { findUndeclaredMergeTags } from './mergeTags.js';
+import { applyVisibilityRule } from './conditions.js';
+import { applyRepeater, getRepeater, isLoopItemTag } from './loops.js';
+import { applyLinkTracking, getBlockTracking } from './tracking.js';
+import { applyResponsiveVisibility, getContentClass, MOBILE_FONT_SIZE, MOBILE_PADDING, MOBILE_TEXT_ALIGN } from './responsive.js';
+
 /**
  * Reset paragraph margins in HTML content
  * Adds inline margin: 0 to all <p> tags
@@ -49,6 +66,334 @@ function resetParagraphMargins(html) {
     return html;
 }
 
+/**
+ * Convert rich HTML content to plain text
+ * Links become "label (url)", paragraphs and line breaks become newlines
+ */
+function htmlToPlainText(html) {
+    if (!html) return '';
+    
+    let text = html;
+    
+    // Links: keep the label and append the URL when it adds information
+    text = text.replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+        const cleanLabel = label.replace(/<[^>]+>/g, '').trim();
+        if (!href || href === '#' || href === cleanLabel) return cleanLabel;
+        return cleanLabel ? `${cleanLabel} (${href})` : href;
+    });
+    
+    // Block-level breaks
+    text = text.replace(/<br\s*\/?>/gi, '\n');
+    text = text.replace(/<li[^>]*>/gi, '- ');
+    text = text.replace(/<\/(p|div|h[1-6]|li|tr|table|ul|ol)>/gi, '\n');
+    
+    // Strip remaining tags
+    text = text.replace(/<[^>]+>/g, '');
+    
+    // Decode common entities
+    text = text
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&copy;/g, '©')
+        .replace(/&amp;/g, '&');
+    
+    // Tidy whitespace line by line
+    return text
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Heading levels a heading block may render as
+ */
+export const HEADING_LEVELS = ['h1', 'h2', 'h3'];
+
+/**
+ * Resolve the font stack for a block
+ * Blocks without their own font use the template default font stack
+ */
+function fontStack(data) {
+    return data.fontFamily || data.templateFontFamily || 'Arial, sans-serif';
+}
+
+/**
+ * Parse a CSS padding shorthand into pixel values
+ * Supports 1-4 values (e.g., "12px 24px")
+ */
+function parsePadding(padding) {
+    const values = String(padding || '0px').trim().split(/\s+/).map(v => parseFloat(v) || 0);
+    const [top, right = top, bottom = top, left = right] = values;
+    return { top, right, bottom, left };
+}
+
+/**
+ * Wrap a button anchor in Outlook-safe VML ("bulletproof" button)
+ * Outlook desktop ignores padding and border-radius on <a>, so it gets a
+ * v:roundrect with matching size and colors; other clients get the anchor.
+ */
+function renderBulletproofButton(data, anchorHTML) {
+    const fontSize = parseFloat(data.fontSize) || 16;
+    const padding = parsePadding(data.padding || '12px 24px');
+    const radius = parseFloat(data.borderRadius) || 0;
+    const label = data.text || 'Click Here';
+    const labelLength = label.replace(/<[^>]+>/g, '').length;
+    
+    // Outlook needs explicit dimensions - estimate from font size and padding
+    const height = Math.round(fontSize * 1.2 + padding.top + padding.bottom);
+    const containerWidth = parseInt(data.maxWidth, 10) || 600;
+    const width = data.fullWidth
+        ? containerWidth - 40 // Cell has 20px padding on each side
+        : Math.round(labelLength * fontSize * 0.6 + padding.left + padding.right);
+    
+    // arcsize is a percentage of the shorter side
+    const arcSize = Math.min(50, Math.round((radius / Math.min(width, height)) * 100));
+    
+    return `<!--[if mso]>
+                                        <v:roundrect xmlns:v="urn:schemas-microsoft-com:vml" xmlns:w="urn:schemas-microsoft-com:office:word" href="${data.url || '#'}" style="height: ${height}px; v-text-anchor: middle; width: ${width}px;" arcsize="${arcSize}%" stroke="f" fillcolor="${data.backgroundColor || '#2563eb'}">
+                                            <w:anchorlock/>
+                                            <center style="color: ${data.textColor || '#ffffff'}; font-family: ${fontStack(data)}; font-size: ${fontSize}px;">${label}</center>
+                                        </v:roundrect>
+                                        <![endif]-->
+                                        <!--[if !mso]><!-->
+                                        ${anchorHTML}
+                                        <!--<![endif]-->`;
+}
+
+/**
+ * Build a class attribute (empty string when there are no class names)
+ * The canvas and exports both pass block classes (mobile rules target them);
+ * data without a blockClass renders without the attribute
+ */
+function classAttr(...classNames) {
+    const names = classNames.filter(Boolean).join(' ');
+    return names ? ` class="${names}"` : '';
+}
+
+/**
+ * Build the class attribute of a block's content cell (target of its mobile overrides)
+ */
+function contentClassAttr(data) {
+    return classAttr(getContentClass(data.blockClass));
+}
+
+/**
+ * Build MJML attribute string from an object (empty values are skipped)
+ */
+function mjmlAttrs(attrs) {
+    return Object.entries(attrs)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([name, value]) => ` ${name}="${String(value).replace(/"/g, '&quot;')}"`)
+        .join('');
+}
+
+/**
+ * Wrap MJML content elements in a full-width section/column
+ * MJML only allows content (mj-text, mj-button, ...) inside mj-column
+ */
+function mjmlSection(data, content) {
+    return `<mj-section${mjmlAttrs({ 'background-color': data.backgroundColor, padding: '0px' })}>
+    <mj-column>
+        ${content}
+    </mj-column>
+</mj-section>`;
+}
+
+/**
+ * Columns of the columns component (up to four)
+ */
+const COLUMN_INDEXES = [1, 2, 3, 4];
+
+/**
+ * Vertical alignments a column may use
+ */
+const COLUMN_VERTICAL_ALIGNS = ['top', 'middle', 'bottom'];
+
+/**
+ * Default data of one column of the columns component
+ */
+function columnDefaults(index) {
+    return {
+        [`column${index}Type`]: 'html',
+        [`column${index}Content`]: `<p style="margin: 0;">Column ${index} content</p>`,
+        [`column${index}Src`]: 'https://via.placeholder.com/300x200',
+        [`column${index}Alt`]: 'Image',
+        [`column${index}MaxWidth`]: '300',
+        [`column${index}Height`]: '',
+        [`column${index}Align`]: 'center',
+        [`column${index}BorderRadius`]: '0px',
+        [`column${index}Width`]: '', // Empty = equal share of the remaining width
+        [`column${index}VerticalAlign`]: 'top',
+        [`column${index}BackgroundColor`]: '',
+        [`column${index}Stack`]: true // Full width on mobile (false = stays beside its non-stacking neighbours)
+    };
+}
+
+/**
+ * Get the number of columns of a columns block (1-4)
+ * @param {Object} data - Block data
+ * @returns {number} - Column count
+ */
+export function getColumnCount(data) {
+    return Math.min(COLUMN_INDEXES.length, Math.max(1, parseInt(data.columnCount, 10) || 2));
+}
+
+/**
+ * Resolve the columns of a columns block with their widths in percent
+ * Columns without a width share what the others leave; the result is
+ * scaled to add up to 100%
+ */
+function getColumnLayout(data) {
+    const indexes = COLUMN_INDEXES.slice(0, getColumnCount(data));
+    const setWidths = indexes.map(index => Math.max(0, parseFloat(data[`column${index}Width`]) || 0));
+    const used = setWidths.reduce((sum, width) => sum + width, 0);
+    const autoCount = setWidths.filter(width => width === 0).length;
+    const share = autoCount > 0 ? Math.max(0, 100 - used) / autoCount : 0;
+    const widths = setWidths.map(width => width || share);
+    const total = widths.reduce((sum, width) => sum + width, 0) || 1;
+    
+    return indexes.map((index, position) => ({
+        index,
+        width: Math.round((widths[position] / total) * 10000) / 100,
+        stack: data[`column${index}Stack`] !== false && data[`column${index}Stack`] !== 'false'
+    }));
+}
+
+/**
+ * Group columns into the lines they form on mobile: each stacking column
+ * is a line of its own, neighbouring non-stacking columns share one
+ */
+function getMobileLines(columns) {
+    const lines = [];
+    columns.forEach(column => {
+        const lastLine = lines[lines.length - 1];
+        if (!column.stack && lastLine && !lastLine[0].stack) {
+            lastLine.push(column);
+        } else {
+            lines.push([column]);
+        }
+    });
+    return lines;
+}
+
+/**
+ * Class of a column cell (target of its mobile stacking rules)
+ */
+function getColumnClass(data, index) {
+    return data.blockClass ? `${data.blockClass}-column${index}` : '';
+}
+
+/**
+ * Render the content of a column (rich HTML or an image)
+ */
+function renderColumnContent(data, index) {
+    if ((data[`column${index}Type`] || 'html') === 'image') {
+        return `
+                    <img src="${data[`column${index}Src`] || 'https://via.placeholder.com/300x200'}" 
+                         alt="${data[`column${index}Alt`] || ''}" 
+                         width="${data[`column${index}MaxWidth`] || '300'}"${data[`column${index}Height`] ? ` height="${data[`column${index}Height`]}"` : ''} 
+                         style="max-width: 100%; height: auto; border-radius: ${data[`column${index}BorderRadius`] || '0px'}; display: block;" />
+                `;
+    }
+    return resetParagraphMargins(data[`column${index}Content`]) || `<p style="margin: 0;">Column ${index} content</p>`;
+}
+
+/**
+ * Resolve a block's max width in pixels (the hybrid layout needs fixed widths
+ * for Outlook); percentages are taken of the template content width
+ */
+function getPixelWidth(maxWidth, hybrid) {
+    const value = parseFloat(maxWidth);
+    if (!value) return hybrid.contentWidth;
+    return /%\s*$/.test(String(maxWidth)) ? Math.round((hybrid.contentWidth * value) / 100) : Math.round(value);
+}
+
+/**
+ * Render a block container for the hybrid layout: a fluid div capped at the
+ * block's max width instead of a fixed-width table (Outlook, which ignores
+ * max-width, gets a fixed-width ghost table around it)
+ */
+function renderHybridContainer(data, { backgroundColor, padding, contentHTML, contentAttrs = '' }) {
+    const width = getPixelWidth(data.maxWidth || '600px', data.hybrid);
+    const blockAlign = data.blockAlign || 'center';
+    const margin = blockAlign === 'left' ? '0 auto 0 0' : blockAlign === 'right' ? '0 0 0 auto' : '0 auto';
+    
+    return `
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${data.margin || '0px'};">
+                    <tr>
+                        <td align="${blockAlign}">
+                            <!--[if mso]><table role="presentation" width="${width}" align="${blockAlign}" cellpadding="0" cellspacing="0" border="0"><tr><td><![endif]-->
+                            <div style="max-width: ${width}px; margin: ${margin};">
+                                <table${classAttr(data.blockClass)} role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color: ${backgroundColor};">
+                                    <tr>
+                                        <td${contentClassAttr(data)}${contentAttrs} style="padding: ${padding};">
+                                            ${contentHTML}
+                                        </td>
+                                    </tr>
+                                </table>
+                            </div>
+                            <!--[if mso]></td></tr></table><![endif]-->
+                        </td>
+                    </tr>
+                </table>
+            `;
+}
+
+/**
+ * Render columns for the hybrid ("spongy") layout
+ * Each line of columns is an inline-block div sized with the "Fab Four"
+ * technique: min-width is its desktop share, max-width is 100% and the
+ * calc() width is negative (clamped to min-width: side by side) while the
+ * container is wider than the stacking width, huge (clamped to max-width:
+ * stacked) below it. No media query is involved, so Gmail variants that
+ * strip <style> stack the columns too. Outlook gets a ghost table.
+ * @param {Object} data - Block data (with data.hybrid from renderBlockHTML)
+ * @param {Array<Array>} lines - Cells { width (%), html, align, verticalAlign,
+ *   backgroundColor, padding, className }; cells of one line stay side by side
+ * @param {Object} options - { padding (the block's), reverse (stacking order) }
+ * @returns {string} - HTML for the block's content cell
+ */
+function renderHybridColumns(data, lines, { padding, reverse = false }) {
+    const blockPadding = parsePadding(padding);
+    const horizontalPadding = blockPadding.left + blockPadding.right;
+    const contentWidth = getPixelWidth(data.maxWidth || '600px', data.hybrid) - horizontalPadding;
+    const stackWidth = Math.max(0, data.hybrid.stackWidth - horizontalPadding);
+    
+    const renderCell = (cell, width) => `<td${classAttr(cell.className)} width="${width}%" valign="${cell.verticalAlign}" align="${cell.align}"${cell.backgroundColor ? ` bgcolor="${cell.backgroundColor}"` : ''} style="padding: ${cell.padding}; vertical-align: ${cell.verticalAlign};${cell.backgroundColor ? ` background-color: ${cell.backgroundColor};` : ''}">
+                                                            ${cell.html}
+                                                        </td>`;
+    
+    const columns = lines.map(line => {
+        const lineWidth = line.reduce((sum, cell) => sum + cell.width, 0) || 1;
+        const verticalAlign = line[0].verticalAlign;
+        return {
+            ghostWidth: Math.round((contentWidth * lineWidth) / 100),
+            verticalAlign,
+            // min-width is rounded down so rounding never pushes the last column to the next line
+            html: `<div${reverse ? ' dir="ltr"' : ''} style="display: inline-block; vertical-align: ${verticalAlign}; min-width: ${Math.floor(lineWidth * 100) / 100}%; max-width: 100%; width: 100%; width: calc((${stackWidth}px - 100%) * ${stackWidth});">
+                                                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
+                                                    <tr>
+                                                        ${line.map(cell => renderCell(cell, Math.round((cell.width / lineWidth) * 10000) / 100)).join('')}
+                                                    </tr>
+                                                </table>
+                                            </div>`
+        };
+    });
+    
+    // Reverse stacking: columns in reverse source order, laid out right to left
+    // No whitespace between the divs: it would push the last one to the next line
+    return `<!--[if mso]><table role="presentation" width="${contentWidth}" cellpadding="0" cellspacing="0" border="0"${reverse ? ' dir="rtl"' : ''}><tr><![endif]-->`
+        + (reverse ? [...columns].reverse() : columns)
+            .map(column => `<!--[if mso]><td width="${column.ghostWidth}" valign="${column.verticalAlign}"${reverse ? ' dir="ltr"' : ''}><![endif]-->${column.html}<!--[if mso]></td><![endif]-->`)
+            .join('')
+        + '<!--[if mso]></tr></table><![endif]-->';
+}
+
 /**
  * Component Definitions
  * Each component has a template function that generates email-safe HTML
@@ -62,7 +407,7 @@ export const componentDefinitions = {
         defaultData: {
             content: '<p style="margin: 0;">Enter your text here...</p>',
             fontSize: 16,
-            fontFamily: 'Arial, sans-serif',
+            fontFamily: '', // Empty = template default font stack
             color: '#000000',
             lineHeight: 1.6,
             textAlign: 'left',
@@ -72,17 +417,23 @@ export const componentDefinitions = {
             maxWidth: '600px',
             blockAlign: 'center'
         },
+        richTextFields: ['content'],
+        darkColors: [
+            { key: 'darkBackgroundColor', label: 'Dark Background Color', property: 'background-color', selector: '' },
+            { key: 'darkColor', label: 'Dark Text Color', property: 'color', selector: 'td, p, span, li' }
+        ],
+        mobileOverrides: [MOBILE_FONT_SIZE, MOBILE_PADDING, MOBILE_TEXT_ALIGN],
         htmlTemplate: (data) => {
             const margin = data.margin || '0px';
             const maxWidth = data.maxWidth || '600px';
             const blockAlign = data.blockAlign || 'center';
             return `
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
                     <tr>
                         <td align="${blockAlign}">
-                            <table width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
+                            <table${classAttr(data.blockClass)} role="presentation" width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
                                 <tr>
-                                    <td align="${data.textAlign || 'left'}" style="padding: ${data.padding || '20px'}; font-family: ${data.fontFamily || 'Arial, sans-serif'}; font-size: ${data.fontSize || 16}px; color: ${data.color || '#000000'}; line-height: ${data.lineHeight || 1.6};">
+                                    <td${contentClassAttr(data)} align="${data.textAlign || 'left'}" style="padding: ${data.padding || '20px'}; font-family: ${fontStack(data)}; font-size: ${data.fontSize || 16}px; color: ${data.color || '#000000'}; line-height: ${data.lineHeight || 1.6};">
                                         ${resetParagraphMargins(data.content) || '<p style="margin: 0;">Enter your text here...</p>'}
                                     </td>
                                 </tr>
@@ -91,6 +442,21 @@ export const componentDefinitions = {
                     </tr>
                 </table>
             `;
+        },
+        textTemplate: (data) => {
+            return htmlToPlainText(data.content || '');
+        },
+        mjmlTemplate: (data) => {
+            return mjmlSection(data, `<mj-text${mjmlAttrs({
+                padding: data.padding || '20px',
+                align: data.textAlign || 'left',
+                color: data.color || '#000000',
+                'font-family': data.fontFamily,
+                'font-size': `${data.fontSize || 16}px`,
+                'line-height': data.lineHeight || 1.6
+            })}>
+            ${resetParagraphMargins(data.content) || '<p style="margin: 0;">Enter your text here...</p>'}
+        </mj-text>`);
         }
     },
 
@@ -103,7 +469,7 @@ export const componentDefinitions = {
             text: 'Your Heading Here',
             level: 'h1',
             fontSize: 32,
-            fontFamily: 'Arial, sans-serif',
+            fontFamily: '', // Empty = template default font stack
             color: '#000000',
             textAlign: 'left',
             padding: '20px',
@@ -112,20 +478,25 @@ export const componentDefinitions = {
             maxWidth: '600px',
             blockAlign: 'center'
         },
+        darkColors: [
+            { key: 'darkBackgroundColor', label: 'Dark Background Color', property: 'background-color', selector: '' },
+            { key: 'darkColor', label: 'Dark Text Color', property: 'color', selector: 'h1, h2, h3' }
+        ],
+        mobileOverrides: [MOBILE_FONT_SIZE, MOBILE_PADDING, MOBILE_TEXT_ALIGN],
         htmlTemplate: (data) => {
-            const tag = data.level || 'h1';
+            const tag = HEADING_LEVELS.includes(data.level) ? data.level : 'h1';
             const fontSize = data.fontSize || 32;
             const margin = data.margin || '0px';
             const maxWidth = data.maxWidth || '600px';
             const blockAlign = data.blockAlign || 'center';
             return `
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
                     <tr>
                         <td align="${blockAlign}">
-                            <table width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
+                            <table${classAttr(data.blockClass)} role="presentation" width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
                                 <tr>
-                                    <td align="${data.textAlign || 'left'}" style="padding: ${data.padding || '20px'};">
-                                        <${tag} style="margin: 0; font-family: ${data.fontFamily || 'Arial, sans-serif'}; font-size: ${fontSize}px; color: ${data.color || '#000000'}; font-weight: bold; line-height: 1.2;">
+                                    <td${contentClassAttr(data)} align="${data.textAlign || 'left'}" style="padding: ${data.padding || '20px'};">
+                                        <${tag} style="margin: 0; font-family: ${fontStack(data)}; font-size: ${fontSize}px; color: ${data.color || '#000000'}; font-weight: bold; line-height: 1.2;">
                                             ${data.text || 'Your Heading Here'}
                                         </${tag}>
                                     </td>
@@ -135,6 +506,26 @@ export const componentDefinitions = {
                     </tr>
                 </table>
             `;
+        },
+        textTemplate: (data) => {
+            const text = htmlToPlainText(data.text || 'Your Heading Here');
+            // Underline: "=" for h1, "-" for smaller headings
+            const underlineChar = (data.level || 'h1') === 'h1' ? '=' : '-';
+            return `${text}\n${underlineChar.repeat(text.length)}`;
+        },
+        mjmlTemplate: (data) => {
+            const tag = HEADING_LEVELS.includes(data.level) ? data.level : 'h1';
+            return mjmlSection(data, `<mj-text${mjmlAttrs({
+                padding: data.padding || '20px',
+                align: data.textAlign || 'left',
+                color: data.color || '#000000',
+                'font-family': data.fontFamily,
+                'font-size': `${data.fontSize || 32}px`,
+                'font-weight': 'bold',
+                'line-height': 1.2
+            })}>
+            <${tag} style="margin: 0; font-size: ${data.fontSize || 32}px; font-weight: bold;">${data.text || 'Your Heading Here'}</${tag}>
+        </mj-text>`);
         }
     },
 
@@ -153,10 +544,16 @@ export const componentDefinitions = {
             margin: '20px 0px',
             borderRadius: '4px',
             fullWidth: false,
+            bulletproof: true,
             align: 'left',
             maxWidth: '600px',
             blockAlign: 'center'
         },
+        darkColors: [
+            { key: 'darkBackgroundColor', label: 'Dark Button Color', property: 'background-color', selector: 'a' },
+            { key: 'darkTextColor', label: 'Dark Text Color', property: 'color', selector: 'a' }
+        ],
+        mobileOverrides: [MOBILE_FONT_SIZE, MOBILE_TEXT_ALIGN],
         htmlTemplate: (data) => {
             const width = data.fullWidth ? '100%' : 'auto';
             const display = data.fullWidth ? 'block' : 'inline-block';
@@ -164,17 +561,19 @@ export const componentDefinitions = {
             const maxWidth = data.maxWidth || '600px';
             const blockAlign = data.blockAlign || 'center';
             
+            const anchorHTML = `<a href="${data.url || '#'}" 
+                                           style="display: ${display}; width: ${width}; background-color: ${data.backgroundColor || '#2563eb'}; color: ${data.textColor || '#ffffff'}; text-decoration: none; padding: ${data.padding || '12px 24px'}; border-radius: ${data.borderRadius || '4px'}; font-size: ${data.fontSize || 16}px; font-family: ${fontStack(data)}; text-align: center;">
+                                            ${data.text || 'Click Here'}
+                                        </a>`;
+            
             return `
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
                     <tr>
                         <td align="${blockAlign}">
-                            <table width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%;">
+                            <table${classAttr(data.blockClass)} role="presentation" width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%;">
                                 <tr>
-                                    <td align="${data.align || 'left'}" style="padding: 20px;">
-                                        <a href="${data.url || '#'}" 
-                                           style="display: ${display}; width: ${width}; background-color: ${data.backgroundColor || '#2563eb'}; color: ${data.textColor || '#ffffff'}; text-decoration: none; padding: ${data.padding || '12px 24px'}; border-radius: ${data.borderRadius || '4px'}; font-size: ${data.fontSize || 16}px; font-family: Arial, sans-serif; text-align: center;">
-                                            ${data.text || 'Click Here'}
-                                        </a>
+                                    <td${contentClassAttr(data)} align="${data.align || 'left'}" style="padding: 20px;">
+                                        ${data.bulletproof ? renderBulletproofButton(data, anchorHTML) : anchorHTML}
                                     </td>
                                 </tr>
                             </table>
@@ -182,6 +581,27 @@ export const componentDefinitions = {
                     </tr>
                 </table>
             `;
+        },
+        textTemplate: (data) => {
+            const label = htmlToPlainText(data.text || 'Click Here');
+            return `${label}: ${data.url || '#'}`;
+        },
+        mjmlTemplate: (data) => {
+            // Button has no block background; the section stays transparent
+            return mjmlSection({}, `<mj-button${mjmlAttrs({
+                href: data.url || '#',
+                align: data.align || 'left',
+                'background-color': data.backgroundColor || '#2563eb',
+                color: data.textColor || '#ffffff',
+                'font-family': data.fontFamily,
+                'font-size': `${data.fontSize || 16}px`,
+                'inner-padding': data.padding || '12px 24px',
+                'border-radius': data.borderRadius || '4px',
+                width: data.fullWidth ? '100%' : '',
+                padding: '20px'
+            })}>
+            ${data.text || 'Click Here'}
+        </mj-button>`);
         }
     },
 
@@ -198,24 +618,29 @@ export const componentDefinitions = {
             align: 'center',
             padding: '20px',
             margin: '0px',
+            imageHeight: '',
             borderRadius: '0px',
             backgroundColor: '#ffffff',
             blockAlign: 'center'
         },
+        darkColors: [
+            { key: 'darkBackgroundColor', label: 'Dark Background Color', property: 'background-color', selector: '' }
+        ],
+        mobileOverrides: [MOBILE_PADDING],
         htmlTemplate: (data) => {
             const margin = data.margin || '0px';
             const maxWidth = data.maxWidth || '600px';
             const blockAlign = data.blockAlign || 'center';
             return `
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
                     <tr>
                         <td align="${blockAlign}">
-                            <table width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
+                            <table${classAttr(data.blockClass)} role="presentation" width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
                                 <tr>
-                                    <td align="${data.align || 'center'}" style="padding: ${data.padding || '20px'};">
+                                    <td${contentClassAttr(data)} align="${data.align || 'center'}" style="padding: ${data.padding || '20px'};">
                                         <img src="${data.src || 'https://via.placeholder.com/600x300'}" 
                                              alt="${data.alt || 'Image'}" 
-                                             width="${maxWidth.replace('px', '')}" 
+                                             width="${maxWidth.replace('px', '')}"${data.imageHeight ? ` height="${data.imageHeight}"` : ''} 
                                              style="max-width: 100%; height: auto; border-radius: ${data.borderRadius || '0px'}; display: block;" />
                                     </td>
                                 </tr>
@@ -224,6 +649,19 @@ export const componentDefinitions = {
                     </tr>
                 </table>
             `;
+        },
+        textTemplate: (data) => {
+            return data.alt ? `[${data.alt}]` : '';
+        },
+        mjmlTemplate: (data) => {
+            return mjmlSection(data, `<mj-image${mjmlAttrs({
+                src: data.src || 'https://via.placeholder.com/600x300',
+                alt: data.alt || 'Image',
+                width: `${parseInt(data.maxWidth, 10) || 600}px`,
+                align: data.align || 'center',
+                'border-radius': data.borderRadius || '0px',
+                padding: data.padding || '20px'
+            })} />`);
         }
     },
 
@@ -241,18 +679,23 @@ export const componentDefinitions = {
             maxWidth: '600px',
             blockAlign: 'center'
         },
+        darkColors: [
+            { key: 'darkBackgroundColor', label: 'Dark Background Color', property: 'background-color', selector: '' },
+            { key: 'darkColor', label: 'Dark Line Color', property: 'border-top-color', selector: 'table td' }
+        ],
+        mobileOverrides: [MOBILE_PADDING],
         htmlTemplate: (data) => {
             const margin = data.margin || '0px';
             const maxWidth = data.maxWidth || '600px';
             const blockAlign = data.blockAlign || 'center';
             return `
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
                     <tr>
                         <td align="${blockAlign}">
-                            <table width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
+                            <table${classAttr(data.blockClass)} role="presentation" width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
                                 <tr>
-                                    <td align="center" style="padding: ${data.padding || '20px'};">
-                                        <table width="100%" cellpadding="0" cellspacing="0" border="0">
+                                    <td${contentClassAttr(data)} align="center" style="padding: ${data.padding || '20px'};">
+                                        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
                                             <tr>
                                                 <td style="border-top: ${data.height || '1px'} solid ${data.color || '#e2e8f0'};"></td>
                                             </tr>
@@ -264,6 +707,17 @@ export const componentDefinitions = {
                     </tr>
                 </table>
             `;
+        },
+        textTemplate: () => {
+            return '-'.repeat(40);
+        },
+        mjmlTemplate: (data) => {
+            return mjmlSection(data, `<mj-divider${mjmlAttrs({
+                'border-color': data.color || '#e2e8f0',
+                'border-width': data.height || '1px',
+                'border-style': 'solid',
+                padding: data.padding || '20px'
+            })} />`);
         }
     },
 
@@ -280,23 +734,36 @@ export const componentDefinitions = {
             maxWidth: '600px',
             blockAlign: 'center'
         },
+        darkColors: [
+            { key: 'darkBackgroundColor', label: 'Dark Background Color', property: 'background-color', selector: '' }
+        ],
+        mobileOverrides: [MOBILE_PADDING],
         htmlTemplate: (data) => {
             const margin = data.margin || '0px';
             const maxWidth = data.maxWidth || '600px';
             const blockAlign = data.blockAlign || 'center';
             return `
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
                     <tr>
                         <td align="${blockAlign}">
-                            <table width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
+                            <table${classAttr(data.blockClass)} role="presentation" width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
                                 <tr>
-                                    <td style="height: ${data.height || '40px'}; line-height: ${data.height || '40px'}; font-size: 1px; padding: ${data.padding || '0px'};">&nbsp;</td>
+                                    <td${contentClassAttr(data)} style="height: ${data.height || '40px'}; line-height: ${data.height || '40px'}; font-size: 1px; padding: ${data.padding || '0px'};">&nbsp;</td>
                                 </tr>
                             </table>
                         </td>
                     </tr>
                 </table>
             `;
+        },
+        textTemplate: () => {
+            return '';
+        },
+        mjmlTemplate: (data) => {
+            return mjmlSection(data, `<mj-spacer${mjmlAttrs({
+                height: data.height || '40px',
+                padding: data.padding || '0px'
+            })} />`);
         }
     },
 
@@ -314,11 +781,13 @@ export const componentDefinitions = {
             column1Alt: 'Left Image',
             column1MaxWidth: '300',
             column1Align: 'center',
+            column1Height: '',
             column1BorderRadius: '0px',
             column2Src: 'https://via.placeholder.com/300x200',
             column2Alt: 'Right Image',
             column2MaxWidth: '300',
             column2Align: 'center',
+            column2Height: '',
             column2BorderRadius: '0px',
             column1Width: '50%',
             column2Width: '50%',
@@ -329,6 +798,12 @@ export const componentDefinitions = {
             maxWidth: '600px',
             blockAlign: 'center'
         },
+        richTextFields: ['column1Content', 'column2Content'],
+        darkColors: [
+            { key: 'darkBackgroundColor', label: 'Dark Background Color', property: 'background-color', selector: '' },
+            { key: 'darkColor', label: 'Dark Text Color', property: 'color', selector: 'td, p, span, li' }
+        ],
+        mobileOverrides: [MOBILE_FONT_SIZE, MOBILE_PADDING],
         htmlTemplate: (data) => {
             const gap = data.gap || '20px';
             const col1Width = data.column1Width || '50%';
@@ -343,7 +818,7 @@ export const componentDefinitions = {
                 column1HTML = `
                     <img src="${data.column1Src || 'https://via.placeholder.com/300x200'}" 
                          alt="${data.column1Alt || 'Left Image'}" 
-                         width="${data.column1MaxWidth || '300'}" 
+                         width="${data.column1MaxWidth || '300'}"${data.column1Height ? ` height="${data.column1Height}"` : ''} 
                          style="max-width: 100%; height: auto; border-radius: ${data.column1BorderRadius || '0px'}; display: block;" />
                 `;
             } else {
@@ -356,7 +831,7 @@ export const componentDefinitions = {
                 column2HTML = `
                     <img src="${data.column2Src || 'https://via.placeholder.com/300x200'}" 
                          alt="${data.column2Alt || 'Right Image'}" 
-                         width="${data.column2MaxWidth || '300'}" 
+                         width="${data.column2MaxWidth || '300'}"${data.column2Height ? ` height="${data.column2Height}"` : ''} 
                          style="max-width: 100%; height: auto; border-radius: ${data.column2BorderRadius || '0px'}; display: block;" />
                 `;
             } else {
@@ -366,14 +841,34 @@ export const componentDefinitions = {
             const maxWidth = data.maxWidth || '600px';
             const blockAlign = data.blockAlign || 'center';
             
+            // Hybrid layout: the columns stack without the media query
+            if (data.hybrid) {
+                const widths = [parseFloat(col1Width) || 50, parseFloat(col2Width) || 50];
+                const total = widths[0] + widths[1];
+                const cell = (index, html, type) => [{
+                    width: (widths[index - 1] / total) * 100,
+                    html,
+                    align: type === 'image' ? (data[`column${index}Align`] || 'center') : 'left',
+                    verticalAlign: 'top',
+                    padding: index === 1 ? `0 ${gap} 0 0` : `0 0 0 ${gap}`
+                }];
+                return renderHybridContainer(data, {
+                    backgroundColor: data.backgroundColor || '#ffffff',
+                    padding: data.padding || '20px',
+                    contentHTML: renderHybridColumns(data, [cell(1, column1HTML, column1Type), cell(2, column2HTML, column2Type)], {
+                        padding: data.padding || '20px'
+                    })
+                });
+            }
+            
             return `
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
                     <tr>
                         <td align="${blockAlign}">
-                            <table width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
+                            <table${classAttr(data.blockClass)} role="presentation" width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
                                 <tr>
-                                    <td style="padding: ${data.padding || '20px'};">
-                                        <table width="100%" cellpadding="0" cellspacing="0" border="0">
+                                    <td${contentClassAttr(data)} style="padding: ${data.padding || '20px'};">
+                                        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
                                             <tr>
                                                 <td width="${col1Width}" valign="top" style="padding-right: ${gap};" align="${column1Type === 'image' ? (data.column1Align || 'center') : 'left'}">
                                                     ${column1HTML}
@@ -390,6 +885,229 @@ export const componentDefinitions = {
                     </tr>
                 </table>
             `;
+        },
+        textTemplate: (data) => {
+            // Columns are read left to right, one after the other
+            const columnText = (index, fallback) => {
+                if ((data[`column${index}Type`] || 'html') === 'image') {
+                    const alt = data[`column${index}Alt`];
+                    return alt ? `[${alt}]` : '';
+                }
+                return htmlToPlainText(data[`column${index}Content`] || fallback);
+            };
+            return [
+                columnText(1, 'Left column content'),
+                columnText(2, 'Right column content')
+            ].filter(Boolean).join('\n\n');
+        },
+        mjmlTemplate: (data) => {
+            const gap = parseFloat(data.gap || '20px') || 0;
+            
+            const renderColumn = (index, fallback) => {
+                const columnWidth = data[`column${index}Width`] || '50%';
+                // The HTML template pads the inner sides of the columns by the gap
+                const padding = index === 1 ? `0px ${gap}px 0px 0px` : `0px 0px 0px ${gap}px`;
+                let content;
+                if ((data[`column${index}Type`] || 'html') === 'image') {
+                    content = `<mj-image${mjmlAttrs({
+                        src: data[`column${index}Src`] || 'https://via.placeholder.com/300x200',
+                        alt: data[`column${index}Alt`] || '',
+                        width: `${parseInt(data[`column${index}MaxWidth`], 10) || 300}px`,
+                        align: data[`column${index}Align`] || 'center',
+                        'border-radius': data[`column${index}BorderRadius`] || '0px',
+                        padding: '0px'
+                    })} />`;
+                } else {
+                    content = `<mj-text padding="0px">
+                ${resetParagraphMargins(data[`column${index}Content`]) || fallback}
+            </mj-text>`;
+                }
+                return `<mj-column${mjmlAttrs({ width: columnWidth, padding, 'vertical-align': 'top' })}>
+            ${content}
+        </mj-column>`;
+            };
+            
+            return `<mj-section${mjmlAttrs({ 'background-color': data.backgroundColor || '#ffffff', padding: data.padding || '20px' })}>
+        ${renderColumn(1, '<p style="margin: 0;">Left column content</p>')}
+        ${renderColumn(2, '<p style="margin: 0;">Right column content</p>')}
+    </mj-section>`;
+        }
+    },
+
+    columns: {
+        type: 'columns',
+        label: 'Columns',
+        icon: '🧱',
+        description: '1-4 columns that stack on mobile',
+        defaultData: {
+            columnCount: 3,
+            ...columnDefaults(1),
+            ...columnDefaults(2),
+            ...columnDefaults(3),
+            ...columnDefaults(4),
+            reverseStackOnMobile: false, // Last column on top when stacked (e.g. image/text rows)
+            padding: '20px',
+            margin: '0px',
+            backgroundColor: '#ffffff',
+            gap: '20px',
+            maxWidth: '600px',
+            blockAlign: 'center'
+        },
+        richTextFields: COLUMN_INDEXES.map(index => `column${index}Content`),
+        darkColors: [
+            { key: 'darkBackgroundColor', label: 'Dark Background Color', property: 'background-color', selector: '' },
+            { key: 'darkColor', label: 'Dark Text Color', property: 'color', selector: 'td, p, span, li' }
+        ],
+        mobileOverrides: [MOBILE_FONT_SIZE, MOBILE_PADDING],
+        // Stacking: every column cell becomes a full-width block, or an
+        // inline-block sharing its line with its non-stacking neighbours
+        mobileRules: (data, blockClass) => {
+            if (!blockClass) return [];
+            
+            const gap = parseFloat(data.gap || '20px') || 0;
+            const lines = getMobileLines(getColumnLayout(data));
+            const lastLine = data.reverseStackOnMobile ? lines[0] : lines[lines.length - 1];
+            
+            return lines.flatMap(line => {
+                const lineWidth = line.reduce((sum, column) => sum + column.width, 0) || 1;
+                return line.map((column, position) => {
+                    const width = line.length > 1 ? Math.round((column.width / lineWidth) * 10000) / 100 : 100;
+                    const paddingLeft = position > 0 ? gap / 2 : 0;
+                    const paddingRight = position < line.length - 1 ? gap / 2 : 0;
+                    const paddingBottom = line === lastLine ? 0 : gap;
+                    return `.${blockClass}-column${column.index} { display: ${line.length > 1 ? 'inline-block' : 'block'} !important; width: ${width}% !important; padding: 0 ${paddingRight}px ${paddingBottom}px ${paddingLeft}px !important; }`;
+                });
+            });
+        },
+        htmlTemplate: (data) => {
+            const gap = parseFloat(data.gap || '20px') || 0;
+            const margin = data.margin || '0px';
+            const maxWidth = data.maxWidth || '600px';
+            const blockAlign = data.blockAlign || 'center';
+            const columns = getColumnLayout(data);
+            const reverse = Boolean(data.reverseStackOnMobile);
+            
+            // Hybrid layout: non-stacking neighbours share one fluid line
+            if (data.hybrid) {
+                const lines = getMobileLines(columns).map(line => line.map(column => {
+                    const index = column.index;
+                    const position = columns.indexOf(column);
+                    return {
+                        width: column.width,
+                        html: renderColumnContent(data, index),
+                        align: (data[`column${index}Type`] || 'html') === 'image' ? (data[`column${index}Align`] || 'center') : 'left',
+                        verticalAlign: COLUMN_VERTICAL_ALIGNS.includes(data[`column${index}VerticalAlign`]) ? data[`column${index}VerticalAlign`] : 'top',
+                        backgroundColor: data[`column${index}BackgroundColor`],
+                        padding: `0 ${position < columns.length - 1 ? gap / 2 : 0}px 0 ${position > 0 ? gap / 2 : 0}px`,
+                        className: getColumnClass(data, index)
+                    };
+                }));
+                return renderHybridContainer(data, {
+                    backgroundColor: data.backgroundColor || '#ffffff',
+                    padding: data.padding || '20px',
+                    contentAttrs: reverse ? ' dir="rtl"' : '',
+                    contentHTML: renderHybridColumns(data, lines, { padding: data.padding || '20px', reverse })
+                });
+            }
+            
+            const cells = columns.map((column, position) => {
+                const index = column.index;
+                const verticalAlign = COLUMN_VERTICAL_ALIGNS.includes(data[`column${index}VerticalAlign`]) ? data[`column${index}VerticalAlign`] : 'top';
+                const backgroundColor = data[`column${index}BackgroundColor`];
+                const align = (data[`column${index}Type`] || 'html') === 'image' ? (data[`column${index}Align`] || 'center') : 'left';
+                const paddingLeft = position > 0 ? gap / 2 : 0;
+                const paddingRight = position < columns.length - 1 ? gap / 2 : 0;
+                // No whitespace between cells: they become inline-blocks on mobile
+                return `<td${classAttr(getColumnClass(data, index))} width="${column.width}%" valign="${verticalAlign}" align="${align}"${reverse ? ' dir="ltr"' : ''}${backgroundColor ? ` bgcolor="${backgroundColor}"` : ''} style="width: ${column.width}%; padding: 0 ${paddingRight}px 0 ${paddingLeft}px; vertical-align: ${verticalAlign};${backgroundColor ? ` background-color: ${backgroundColor};` : ''}">
+                                                    ${renderColumnContent(data, index)}
+                                                </td>`;
+            });
+            
+            // Reverse stacking: cells in reverse source order (stacked top to
+            // bottom on mobile), laid out right to left on desktop
+            return `
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
+                    <tr>
+                        <td align="${blockAlign}">
+                            <table${classAttr(data.blockClass)} role="presentation" width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
+                                <tr>
+                                    <td${contentClassAttr(data)} style="padding: ${data.padding || '20px'};">
+                                        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0"${reverse ? ' dir="rtl"' : ''}>
+                                            <tr>
+                                                ${(reverse ? [...cells].reverse() : cells).join('')}
+                                            </tr>
+                                        </table>
+                                    </td>
+                                </tr>
+                            </table>
+                        </td>
+                    </tr>
+                </table>
+            `;
+        },
+        textTemplate: (data) => {
+            // Columns are read in their desktop order
+            return getColumnLayout(data).map(({ index }) => {
+                if ((data[`column${index}Type`] || 'html') === 'image') {
+                    const alt = data[`column${index}Alt`];
+                    return alt ? `[${alt}]` : '';
+                }
+                return htmlToPlainText(data[`column${index}Content`] || `Column ${index} content`);
+            }).filter(Boolean).join('\n\n');
+        },
+        mjmlTemplate: (data) => {
+            const gap = parseFloat(data.gap || '20px') || 0;
+            const columns = getColumnLayout(data);
+            const lines = getMobileLines(columns);
+            const reverse = Boolean(data.reverseStackOnMobile);
+            
+            const renderColumn = (column, width) => {
+                const index = column.index;
+                const position = columns.indexOf(column);
+                const padding = `0px ${position < columns.length - 1 ? gap / 2 : 0}px 0px ${position > 0 ? gap / 2 : 0}px`;
+                let content;
+                if ((data[`column${index}Type`] || 'html') === 'image') {
+                    content = `<mj-image${mjmlAttrs({
+                        src: data[`column${index}Src`] || 'https://via.placeholder.com/300x200',
+                        alt: data[`column${index}Alt`] || '',
+                        width: `${parseInt(data[`column${index}MaxWidth`], 10) || 300}px`,
+                        align: data[`column${index}Align`] || 'center',
+                        'border-radius': data[`column${index}BorderRadius`] || '0px',
+                        padding: '0px'
+                    })} />`;
+                } else {
+                    content = `<mj-text padding="0px">
+                ${renderColumnContent(data, index)}
+            </mj-text>`;
+                }
+                return `<mj-column${mjmlAttrs({
+                    width: `${width}%`,
+                    padding,
+                    'vertical-align': COLUMN_VERTICAL_ALIGNS.includes(data[`column${index}VerticalAlign`]) ? data[`column${index}VerticalAlign`] : 'top',
+                    'background-color': data[`column${index}BackgroundColor`]
+                })}>
+            ${content}
+        </mj-column>`;
+            };
+            
+            // Non-stacking neighbours stay side by side in an mj-group
+            // (column widths inside a group are relative to the group)
+            const renderLine = (line) => {
+                if (line.length === 1) return renderColumn(line[0], line[0].width);
+                const lineWidth = line.reduce((sum, column) => sum + column.width, 0) || 1;
+                return `<mj-group width="${Math.round(lineWidth * 100) / 100}%">
+        ${line.map(column => renderColumn(column, Math.round((column.width / lineWidth) * 10000) / 100)).join('\n        ')}
+        </mj-group>`;
+            };
+            
+            // direction="rtl" is MJML's reverse stacking (lines in reverse source order)
+            return `<mj-section${mjmlAttrs({
+                'background-color': data.backgroundColor || '#ffffff',
+                padding: data.padding || '20px',
+                direction: reverse ? 'rtl' : ''
+            })}>
+        ${(reverse ? [...lines].reverse() : lines).map(renderLine).join('\n        ')}
+    </mj-section>`;
         }
     },
 
@@ -413,6 +1131,12 @@ export const componentDefinitions = {
             maxWidth: '600px',
             blockAlign: 'center'
         },
+        richTextFields: ['text'],
+        darkColors: [
+            { key: 'darkBackgroundColor', label: 'Dark Background Color', property: 'background-color', selector: '' },
+            { key: 'darkColor', label: 'Dark Text Color', property: 'color', selector: 'td, a' }
+        ],
+        mobileOverrides: [MOBILE_FONT_SIZE, MOBILE_PADDING, MOBILE_TEXT_ALIGN],
         htmlTemplate: (data) => {
             let linksHtml = '';
             if (data.links && data.links.length > 0) {
@@ -425,12 +1149,12 @@ export const componentDefinitions = {
             const blockAlign = data.blockAlign || 'center';
             
             return `
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
                     <tr>
                         <td align="${blockAlign}">
-                            <table width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#f8fafc'};">
+                            <table${classAttr(data.blockClass)} role="presentation" width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#f8fafc'};">
                                 <tr>
-                                    <td align="${data.textAlign || 'center'}" style="padding: ${data.padding || '40px 20px'}; font-family: Arial, sans-serif; font-size: ${data.fontSize || 12}px; color: ${data.color || '#64748b'}; line-height: 1.6;">
+                                    <td${contentClassAttr(data)} align="${data.textAlign || 'center'}" style="padding: ${data.padding || '40px 20px'}; font-family: ${fontStack(data)}; font-size: ${data.fontSize || 12}px; color: ${data.color || '#64748b'}; line-height: 1.6;">
                                         ${data.text || '© 2024 Your Company. All rights reserved.'}
                                         ${linksHtml ? '<br><br>' + linksHtml : ''}
                                     </td>
@@ -440,6 +1164,84 @@ export const componentDefinitions = {
                     </tr>
                 </table>
             `;
+        },
+        textTemplate: (data) => {
+            const lines = [htmlToPlainText(data.text || '© 2024 Your Company. All rights reserved.')];
+            if (data.links && data.links.length > 0) {
+                lines.push('');
+                data.links.forEach(link => {
+                    lines.push(`- ${link.text}: ${link.url || '#'}`);
+                });
+            }
+            return lines.join('\n');
+        },
+        mjmlTemplate: (data) => {
+            let linksHtml = '';
+            if (data.links && data.links.length > 0) {
+                linksHtml = data.links.map(link => 
+                    `<a href="${link.url || '#'}" style="color: ${data.color || '#64748b'}; text-decoration: underline; margin: 0 8px;">${link.text}</a>`
+                ).join(' | ');
+            }
+            return mjmlSection({ backgroundColor: data.backgroundColor || '#f8fafc' }, `<mj-text${mjmlAttrs({
+                padding: data.padding || '40px 20px',
+                align: data.textAlign || 'center',
+                color: data.color || '#64748b',
+                'font-family': data.fontFamily,
+                'font-size': `${data.fontSize || 12}px`,
+                'line-height': 1.6
+            })}>
+            ${data.text || '© 2024 Your Company. All rights reserved.'}
+            ${linksHtml ? '<br><br>' + linksHtml : ''}
+        </mj-text>`);
+        }
+    },
+
+    // Markup the HTML importer couldn't map to a block (sanitized like any rich text)
+    html: {
+        type: 'html',
+        label: 'Custom HTML',
+        icon: '🧾',
+        description: 'Raw HTML markup',
+        defaultData: {
+            html: '<p style="margin: 0;">Custom HTML</p>',
+            padding: '0px',
+            margin: '0px',
+            backgroundColor: '#ffffff',
+            maxWidth: '600px',
+            blockAlign: 'center'
+        },
+        richTextFields: ['html'],
+        darkColors: [
+            { key: 'darkBackgroundColor', label: 'Dark Background Color', property: 'background-color', selector: '' }
+        ],
+        mobileOverrides: [MOBILE_PADDING],
+        htmlTemplate: (data) => {
+            const margin = data.margin || '0px';
+            const maxWidth = data.maxWidth || '600px';
+            const blockAlign = data.blockAlign || 'center';
+            return `
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
+                    <tr>
+                        <td align="${blockAlign}">
+                            <table${classAttr(data.blockClass)} role="presentation" width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
+                                <tr>
+                                    <td${contentClassAttr(data)} style="padding: ${data.padding || '0px'};">
+                                        ${data.html || ''}
+                                    </td>
+                                </tr>
+                            </table>
+                        </td>
+                    </tr>
+                </table>
+            `;
+        },
+        textTemplate: (data) => {
+            return htmlToPlainText(data.html || '');
+        },
+        mjmlTemplate: (data) => {
+            return mjmlSection(data, `<mj-raw>
+            ${data.html || ''}
+        </mj-raw>`);
         }
     },
 
@@ -455,26 +1257,41 @@ export const componentDefinitions = {
             gap: '20px',
             maxWidth: '600px',
             blockAlign: 'center',
+            repeatCollection: '', // Collection variable to repeat the children for (empty = not repeated)
+            repeatItemName: 'item', // Children use {{item.field}}
             children: [] // Array of child block IDs
         },
+        darkColors: [
+            { key: 'darkBackgroundColor', label: 'Dark Background Color', property: 'background-color', selector: '' }
+        ],
+        mobileOverrides: [MOBILE_PADDING],
         htmlTemplate: (data, childrenHTML = '') => {
             const margin = data.margin || '0px';
             const gap = data.gap || '20px';
             const maxWidth = data.maxWidth || '600px';
             const blockAlign = data.blockAlign || 'center';
             
+            // Hybrid layout: fluid container instead of a fixed-width table
+            if (data.hybrid) {
+                return renderHybridContainer(data, {
+                    backgroundColor: data.backgroundColor || '#ffffff',
+                    padding: data.padding || '20px',
+                    contentHTML: childrenHTML || '&nbsp;'
+                });
+            }
+            
             // For email HTML, render children in a table structure
             // Each child is wrapped in a table row with gap as padding-bottom (except last)
             if (childrenHTML) {
                 // Split children HTML and add gap spacing
                 // Since childrenHTML is already formatted, we'll wrap it in a table
                 return `
-                    <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
+                    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
                         <tr>
                             <td align="${blockAlign}">
-                                <table width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
+                                <table${classAttr(data.blockClass)} role="presentation" width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
                                     <tr>
-                                        <td style="padding: ${data.padding || '20px'};">
+                                        <td${contentClassAttr(data)} style="padding: ${data.padding || '20px'};">
                                             ${childrenHTML}
                                         </td>
                                     </tr>
@@ -487,12 +1304,12 @@ export const componentDefinitions = {
             
             // Empty row
             return `
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin: ${margin};">
                     <tr>
                         <td align="${blockAlign}">
-                            <table width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
+                            <table${classAttr(data.blockClass)} role="presentation" width="${maxWidth}" cellpadding="0" cellspacing="0" border="0" style="max-width: 100%; background-color: ${data.backgroundColor || '#ffffff'};">
                                 <tr>
-                                    <td style="padding: ${data.padding || '20px'};">
+                                    <td${contentClassAttr(data)} style="padding: ${data.padding || '20px'};">
                                         &nbsp;
                                     </td>
                                 </tr>
@@ -501,6 +1318,15 @@ export const componentDefinitions = {
                     </tr>
                 </table>
             `;
+        },
+        textTemplate: (data, childrenText = '') => {
+            return childrenText;
+        },
+        mjmlTemplate: (data, childrenMJML = '') => {
+            // Gap between children becomes padding on each child section in renderBlockMJML
+            return `<mj-wrapper${mjmlAttrs({ 'background-color': data.backgroundColor || '#ffffff', padding: data.padding || '20px' })}>
+    ${childrenMJML || `<mj-section><mj-column><mj-spacer height="1px" /></mj-column></mj-section>`}
+</mj-wrapper>`;
         }
     }
 };
@@ -522,42 +1348,224 @@ export function getAllComponents() {
     return Object.values(componentDefinitions);
 }
 
+/**
+ * Get the CSS class used to target a block in exported HTML
+ * @param {string} blockId - Block ID
+ * @returns {string} - Class name
+ */
+export function getBlockClass(blockId) {
+    return `eb-${String(blockId).replace(/^block-/, '').replace(/[^a-zA-Z0-9_-]/g, '')}`;
+}
+
+/**
+ * Get block data escaped/sanitized for interpolation into a template
+ * @param {Object} block - Block object with type and data
+ * @param {Object} extraData - Additional (untrusted) values to merge in first
+ * @returns {Object} - Safe copy of the block data
+ */
+export function getSafeBlockData(block, extraData = {}) {
+    const component = getComponent(block.type);
+    const richFields = (component && component.richTextFields) || [];
+    return sanitizeBlockData({ ...block.data, ...extraData }, richFields);
+}
+
+/**
+ * Apply campaign tracking to a block's links (exports pass settings.tracking)
+ * @returns {Object} - { block, settings } with tracked data and the tracking its children inherit
+ */
+function withTracking(block, settings) {
+    if (!settings.tracking) return { block, settings };
+    
+    const component = getComponent(block.type);
+    const richFields = (component && component.richTextFields) || [];
+    const tracking = getBlockTracking(settings.tracking, block.data);
+    return {
+        block: { ...block, data: applyLinkTracking(block.data, richFields, tracking) },
+        settings: { ...settings, tracking }
+    };
+}
+
 /**
  * Generate HTML for a block
  * @param {Object} block - Block object with type and data
  * @param {Function} getChildBlocks - Optional function to get child blocks for nested rendering
- * @returns {string} - HTML string
+ * @param {Object} settings - Optional template settings (default font stack, merge tag
+ *   dialect for visibility rules, campaign tracking, layout: 'hybrid' for fluid
+ *   columns and rows, adaptBlockHTML(html, block) for ESP exports). Pass
+ *   variables + onUndeclaredMergeTags(block, names) to validate merge tags.
+ * @returns {string} - HTML string (wrapped in the block's visibility rule and
+ *   hide on mobile/desktop wrapper, if any)
  */
-export function renderBlockHTML(block, getChildBlocks = null) {
+export function renderBlockHTML(block, getChildBlocks = null, settings = {}) {
+    return applyVisibilityRule(applyResponsiveVisibility(renderBlockContentHTML(block, getChildBlocks, settings), block.data), block.data, settings);
+}
+
+/**
+ * Generate HTML for a block without its visibility rule
+ */
+function renderBlockContentHTML(block, getChildBlocks, settings) {
     const component = getComponent(block.type);
     if (!component) return '';
     
+    ({ block, settings } = withTracking(block, settings));
+    const repeater = block.type === 'row' ? getRepeater(block.data) : null;
+    
+    // Every {{merge_tag}} used must be declared in the template variables
+    // (item tags of enclosing repeaters, e.g. {{item.name}}, are declared by the loop)
+    if (settings.variables && settings.onUndeclaredMergeTags) {
+        const undeclared = findUndeclaredMergeTags(block.data, settings.variables)
+            .filter(name => !isLoopItemTag(name, settings.loopItemNames));
+        if (repeater && !settings.variables.some(v => v.name === repeater.collection)) {
+            undeclared.push(repeater.collection);
+        }
+        if (undeclared.length > 0) {
+            settings.onUndeclaredMergeTags(block, undeclared);
+        }
+    }
+    
+    // Exported blocks carry a per-block class for CSS overrides (dark mode, etc.)
+    // Hybrid exports (settings.layout) render columns and rows as fluid divs
+    const data = {
+        ...getSafeBlockData(block, { templateFontFamily: settings.fontFamily }),
+        blockClass: getBlockClass(block.id),
+        hybrid: settings.layout === 'hybrid' ? {
+            contentWidth: parseInt(settings.contentWidth, 10) || 600,
+            stackWidth: parseInt(settings.mobileBreakpoint, 10) || 600
+        } : null
+    };
+    
     // Handle row component with nested children
     if (block.type === 'row' && getChildBlocks) {
         const childBlocks = getChildBlocks(block.id);
         if (childBlocks && childBlocks.length > 0) {
             // Render each child block and join with gap spacing
-            const gap = block.data.gap || '20px';
+            const gap = data.gap || '20px';
+            const childSettings = repeater
+                ? { ...settings, loopItemNames: [...(settings.loopItemNames || []), repeater.itemName] }
+                : settings;
             const childrenHTML = childBlocks.map((childBlock, index) => {
-                const childHTML = renderBlockHTML(childBlock, getChildBlocks);
-                // For email HTML, wrap each child in a table with gap as padding-bottom (except last)
-                if (index < childBlocks.length - 1) {
-                    return `
-                        <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin-bottom: ${gap};">
+                const childHTML = renderBlockContentHTML(childBlock, getChildBlocks, childSettings);
+                // For email HTML, wrap each child in a table with gap as padding-bottom (except last;
+                // repeated rows keep it on every child so the items are spaced out too)
+                // The visibility rule and responsive hiding cover the gap too, so hidden children leave no space
+                if (index < childBlocks.length - 1 || repeater) {
+                    return applyVisibilityRule(applyResponsiveVisibility(`
+                        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin-bottom: ${gap};">
                             <tr>
                                 <td>
                                     ${childHTML}
                                 </td>
                             </tr>
                         </table>
-                    `;
+                    `, childBlock.data), childBlock.data, childSettings);
                 }
-                return childHTML;
+                return applyVisibilityRule(applyResponsiveVisibility(childHTML, childBlock.data), childBlock.data, childSettings);
             }).join('');
-            return component.htmlTemplate(block.data, childrenHTML);
+            return adaptHTML(component.htmlTemplate(data, applyRepeater(childrenHTML, block.data, settings, { escapeValue: escapeHTML })), block, settings);
+        }
+    }
+    
+    return adaptHTML(component.htmlTemplate(data), block, settings);
+}
+
+/**
+ * Apply the export target's post-processing to a rendered block (ESP exports pass settings.adaptBlockHTML)
+ */
+function adaptHTML(html, block, settings) {
+    return settings.adaptBlockHTML ? settings.adaptBlockHTML(html, block) : html;
+}
+
+/**
+ * Generate plain text for a block
+ * Mirrors renderBlockHTML so the text/plain part follows the same block tree
+ * @param {Object} block - Block object with type and data
+ * @param {Function} getChildBlocks - Optional function to get child blocks for nested rendering
+ * @param {Object} settings - Optional template settings (merge tag dialect for visibility rules, campaign tracking)
+ * @returns {string} - Plain text string
+ */
+export function renderBlockText(block, getChildBlocks = null, settings = {}) {
+    const component = getComponent(block.type);
+    if (!component || !component.textTemplate) return '';
+    
+    ({ block, settings } = withTracking(block, settings));
+    
+    // Handle row component with nested children (rendered linearly)
+    if (block.type === 'row' && getChildBlocks) {
+        const childBlocks = getChildBlocks(block.id);
+        if (childBlocks && childBlocks.length > 0) {
+            const repeater = getRepeater(block.data);
+            const childSettings = repeater
+                ? { ...settings, loopItemNames: [...(settings.loopItemNames || []), repeater.itemName] }
+                : settings;
+            const childrenText = childBlocks
+                .map(childBlock => renderBlockText(childBlock, getChildBlocks, childSettings))
+                .filter(text => text.trim() !== '')
+                .join('\n\n');
+            // Each repeated item ends with a blank line so items don't run together
+            const repeatedText = applyRepeater(repeater ? `${childrenText}\n\n` : childrenText, block.data, settings);
+            return applyVisibilityRule(component.textTemplate(block.data, repeatedText), block.data, settings);
+        }
+    }
+    
+    return applyVisibilityRule(component.textTemplate(block.data), block.data, settings);
+}
+
+/**
+ * Generate MJML for a block
+ * Content blocks render as full-width sections; rows render as mj-wrapper.
+ * MJML can't nest wrappers, so rows inside rows are flattened into their parent.
+ * @param {Object} block - Block object with type and data
+ * @param {Function} getChildBlocks - Optional function to get child blocks for nested rendering
+ * @param {boolean} insideWrapper - Whether the block is already inside an mj-wrapper
+ * @param {Object} settings - Optional template settings (merge tag dialect for visibility rules, campaign tracking)
+ * @returns {string} - MJML string
+ */
+export function renderBlockMJML(block, getChildBlocks = null, insideWrapper = false, settings = {}) {
+    // Template tags of visibility rules go in <mj-raw> so MJML passes them through
+    return applyVisibilityRule(
+        renderBlockContentMJML(block, getChildBlocks, insideWrapper, settings),
+        block.data,
+        settings,
+        (tags) => `<mj-raw>${tags}</mj-raw>`
+    );
+}
+
+/**
+ * Generate MJML for a block without its visibility rule
+ */
+function renderBlockContentMJML(block, getChildBlocks, insideWrapper, settings) {
+    const component = getComponent(block.type);
+    if (!component || !component.mjmlTemplate) return '';
+    
+    ({ block, settings } = withTracking(block, settings));
+    const data = getSafeBlockData(block);
+    
+    if (block.type === 'row') {
+        const childBlocks = getChildBlocks ? getChildBlocks(block.id) : [];
+        const gap = data.gap || '20px';
+        const repeater = getRepeater(block.data);
+        const childSettings = repeater
+            ? { ...settings, loopItemNames: [...(settings.loopItemNames || []), repeater.itemName] }
+            : settings;
+        const childrenMJML = (childBlocks || []).map((childBlock, index) => {
+            let childMJML = renderBlockContentMJML(childBlock, getChildBlocks, true, childSettings);
+            // Gap between children (except last), like the HTML output
+            if ((index < childBlocks.length - 1 || repeater) && childBlock.type !== 'row') {
+                // padding-bottom takes precedence over the padding shorthand in MJML
+                childMJML = childMJML.replace(/^<mj-section([^>]*)>/, `<mj-section$1 padding-bottom="${gap}">`);
+            }
+            return applyVisibilityRule(childMJML, childBlock.data, childSettings, (tags) => `<mj-raw>${tags}</mj-raw>`);
+        }).join('\n');
+        const repeatedMJML = applyRepeater(childrenMJML, block.data, settings, {
+            wrapTemplateTags: (tags) => `<mj-raw>${tags}</mj-raw>`
+        });
+        
+        if (insideWrapper) {
+            return repeatedMJML;
         }
+        return component.mjmlTemplate(data, repeatedMJML);
     }
     
-    return component.htmlTemplate(block.data);
+    return component.mjmlTemplate(data);
 }
 
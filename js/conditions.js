@@ -0,0 +1,271 @@
+/**
+ * ========================================
+ * Conditional Content (Visibility Rules)
+ * ========================================
+ *
+ * A block can carry a visibility rule in its data:
+ *   visibilityVariable: 'plan'
+ *   visibilityOperator: 'equals' (default) | 'notEquals' | 'in' | 'notIn' | 'exists' | 'notExists'
+ *   visibilityValue:    'pro'  (comma-separated list for in / not in, e.g. "DE, AT")
+ *
+ * On export the block is wrapped in the conditional syntax of the
+ * template's merge tag dialect. The preview evaluates rules against a
+ * sample audience instead.
+ *
+ * Handlebars output uses the common "eq" and "or" helpers; dialects
+ * without OR (Mailchimp, SendGrid, Campaign Monitor) repeat the block per value.
+ */
+
+import { getMailchimpTag } from './mergeTags.js';
+import { getLoopRuleVariable } from './loops.js';
+
+/**
+ * Rule operators (label shown in the editor, symbol shown on the canvas badge)
+ */
+export const RULE_OPERATORS = {
+    equals: { label: 'is', symbol: '==' },
+    notEquals: { label: 'is not', symbol: '!=' },
+    in: { label: 'is one of', symbol: 'in' },
+    notIn: { label: 'is none of', symbol: 'not in' },
+    exists: { label: 'is set', symbol: 'is set' },
+    notExists: { label: 'is empty', symbol: 'is empty' }
+};
+
+/**
+ * Characters a rule value may use: anything else (quotes, brackets, braces,
+ * |, %, *) could break out of the Handlebars, Liquid, Mailchimp or
+ * Campaign Monitor conditional it's emitted into
+ */
+const RULE_VALUE_PATTERN = /^[\p{L}\p{N} _.@+\/-]+$/u;
+
+/**
+ * Split a rule value field into values
+ * Quotes and brackets around values are optional ('"pro"', '[DE, AT]')
+ */
+function parseRuleValues(text) {
+    return String(text || '')
+        .replace(/^\s*\[|\]\s*$/g, '')
+        .split(',')
+        .map(value => value.trim().replace(/^["']|["']$/g, ''))
+        .filter(value => value !== '');
+}
+
+/**
+ * Find the values of a rule value field that use unsafe characters
+ * @param {string} text - Rule value field (comma-separated)
+ * @returns {Array<string>} - Invalid values (empty if the field is valid)
+ */
+export function getInvalidRuleValues(text) {
+    return parseRuleValues(text).filter(value => !RULE_VALUE_PATTERN.test(value));
+}
+
+/**
+ * Get the visibility rule of a block
+ * @param {Object} data - Block data
+ * @returns {Object|null} - { variable, operator, values } or null if the block is always shown
+ */
+export function getVisibilityRule(data) {
+    const variable = String(data.visibilityVariable || '').trim();
+    const operator = data.visibilityOperator || 'equals';
+    if (!variable || !RULE_OPERATORS[operator] || !/^[a-zA-Z_][\w.]*$/.test(variable)) return null;
+
+    // Values with unsafe characters are rejected by the editor; imported ones disable the rule
+    const values = parseRuleValues(data.visibilityValue);
+    if (values.some(value => !RULE_VALUE_PATTERN.test(value))) return null;
+
+    const needsValue = operator !== 'exists' && operator !== 'notExists';
+    if (needsValue && values.length === 0) return null;
+
+    // "is" / "is not" compare against a single value
+    return {
+        variable,
+        operator,
+        values: operator === 'equals' || operator === 'notEquals' ? values.slice(0, 1) : values
+    };
+}
+
+/**
+ * Describe a rule for badges and tooltips, e.g. plan == "pro", country in [DE, AT]
+ */
+export function describeRule(rule) {
+    const symbol = RULE_OPERATORS[rule.operator].symbol;
+    switch (rule.operator) {
+        case 'in':
+        case 'notIn':
+            return `${rule.variable} ${symbol} [${rule.values.join(', ')}]`;
+        case 'exists':
+        case 'notExists':
+            return `${rule.variable} ${symbol}`;
+        default:
+            return `${rule.variable} ${symbol} "${rule.values[0]}"`;
+    }
+}
+
+/**
+ * Evaluate a rule against sample data
+ * @param {Object} rule - Visibility rule
+ * @param {Object} sample - Sample audience values (dot paths are resolved)
+ * @returns {boolean} - True if the block is shown
+ */
+export function evaluateRule(rule, sample) {
+    const value = rule.variable.split('.').reduce((current, key) => {
+        return current !== undefined && current !== null ? current[key] : undefined;
+    }, sample || {});
+    const isSet = value !== undefined && value !== null && value !== '';
+    const matches = rule.values.includes(String(value));
+
+    switch (rule.operator) {
+        case 'equals':
+        case 'in':
+            return matches;
+        case 'notEquals':
+        case 'notIn':
+            return !matches;
+        case 'exists':
+            return isSet;
+        case 'notExists':
+            return !isSet;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Conditional wrappers per dialect
+ * wrap(content, rule, tag) - tag is the dialect's name for the variable
+ */
+const CONDITION_DIALECTS = {
+    liquid: (content, rule, tag) => {
+        const comparisons = (op) => rule.values.map(value => `${tag} ${op} "${value}"`);
+        switch (rule.operator) {
+            case 'equals':
+            case 'in':
+                return `{% if ${comparisons('==').join(' or ')} %}${content}{% endif %}`;
+            case 'notEquals':
+            case 'notIn':
+                return `{% unless ${comparisons('==').join(' or ')} %}${content}{% endunless %}`;
+            case 'exists':
+                return `{% if ${tag} != blank %}${content}{% endif %}`;
+            default:
+                return `{% if ${tag} == blank %}${content}{% endif %}`;
+        }
+    },
+    handlebars: (content, rule, tag) => {
+        const comparisons = rule.values.map(value => `(eq ${tag} "${value}")`);
+        const test = comparisons.length > 1 ? `(or ${comparisons.join(' ')})` : comparisons[0];
+        switch (rule.operator) {
+            case 'equals':
+            case 'in':
+                return `{{#if ${test}}}${content}{{/if}}`;
+            case 'notEquals':
+            case 'notIn':
+                return `{{#unless ${test}}}${content}{{/unless}}`;
+            case 'exists':
+                return `{{#if ${tag}}}${content}{{/if}}`;
+            default:
+                return `{{#unless ${tag}}}${content}{{/unless}}`;
+        }
+    },
+    sendgrid: (content, rule, tag) => {
+        switch (rule.operator) {
+            case 'equals':
+            case 'in':
+                // {{#equals}} chained through {{else}} - the block repeats per value
+                return rule.values.reduceRight((inner, value, index) => {
+                    const otherwise = index < rule.values.length - 1 ? `{{else}}${inner}` : '';
+                    return `{{#equals ${tag} "${value}"}}${content}${otherwise}{{/equals}}`;
+                }, '');
+            case 'notEquals':
+            case 'notIn':
+                return rule.values.reduceRight((inner, value) => {
+                    return `{{#notEquals ${tag} "${value}"}}${inner}{{/notEquals}}`;
+                }, content);
+            case 'exists':
+                return `{{#if ${tag}}}${content}{{/if}}`;
+            default:
+                return `{{#unless ${tag}}}${content}{{/unless}}`;
+        }
+    },
+    klaviyo: (content, rule, tag) => {
+        // Django templates have no {% unless %} and no parentheses
+        switch (rule.operator) {
+            case 'equals':
+            case 'in':
+                return `{% if ${rule.values.map(value => `${tag} == "${value}"`).join(' or ')} %}${content}{% endif %}`;
+            case 'notEquals':
+            case 'notIn':
+                return `{% if ${rule.values.map(value => `${tag} != "${value}"`).join(' and ')} %}${content}{% endif %}`;
+            case 'exists':
+                return `{% if ${tag} %}${content}{% endif %}`;
+            default:
+                return `{% if not ${tag} %}${content}{% endif %}`;
+        }
+    },
+    campaignmonitor: (content, rule, tag) => {
+        // Only "=" comparisons; negations use the [else] branch
+        const branches = rule.values.map((value, index) => `[${index === 0 ? 'if' : 'elseif'}:${tag}=${value}]`);
+        switch (rule.operator) {
+            case 'equals':
+            case 'in':
+                return branches.map(branch => `${branch}${content}`).join('') + '[endif]';
+            case 'notEquals':
+            case 'notIn':
+                return `${branches.join('')}[else]${content}[endif]`;
+            case 'exists':
+                return `[if:${tag}=][else]${content}[endif]`;
+            default:
+                return `[if:${tag}=]${content}[endif]`;
+        }
+    },
+    mailchimp: (content, rule, tag) => {
+        switch (rule.operator) {
+            case 'equals':
+            case 'in':
+                return rule.values.map((value, index) => {
+                    return `*|${index === 0 ? 'IF' : 'ELSEIF'}:${tag}=${value}|*${content}`;
+                }).join('') + '*|END:IF|*';
+            case 'notEquals':
+            case 'notIn':
+                return rule.values.reduceRight((inner, value) => {
+                    return `*|IF:${tag}!=${value}|*${inner}*|END:IF|*`;
+                }, content);
+            case 'exists':
+                return `*|IF:${tag}|*${content}*|END:IF|*`;
+            default:
+                return `*|IFNOT:${tag}|*${content}*|END:IF|*`;
+        }
+    }
+};
+
+/**
+ * Apply a block's visibility rule to its rendered output
+ * @param {string} content - Rendered block (HTML, text or MJML)
+ * @param {Object} data - Block data (raw)
+ * @param {Object} settings - mergeTagDialect, variables (for Mailchimp tags), loopItemNames
+ *   (item names of the enclosing repeaters) and, for the 'preview' dialect,
+ *   previewAudience (null = show every block)
+ * @param {Function} wrapTemplateTags - Optional wrapper for the emitted template tags (e.g. <mj-raw>)
+ * @returns {string} - Wrapped (or, in preview, kept/removed) content
+ */
+export function applyVisibilityRule(content, data, settings = {}, wrapTemplateTags = null) {
+    const rule = getVisibilityRule(data);
+    if (!rule) return content;
+
+    const dialect = settings.mergeTagDialect || 'handlebars';
+    if (dialect === 'preview') {
+        return !settings.previewAudience || evaluateRule(rule, settings.previewAudience) ? content : '';
+    }
+
+    const variable = (settings.variables || []).find(v => v.name === rule.variable) || { name: rule.variable };
+    const tag = dialect === 'mailchimp' ? getMailchimpTag(variable) : getLoopRuleVariable(rule.variable, settings);
+    const wrap = CONDITION_DIALECTS[dialect] || CONDITION_DIALECTS.handlebars;
+
+    if (!wrapTemplateTags) return wrap(content, rule, tag);
+
+    // Wrap only the template tags around (possibly repeated) content
+    const placeholder = '\u0000CONTENT\u0000';
+    return wrap(placeholder, rule, tag)
+        .split(placeholder)
+        .map(part => (part ? wrapTemplateTags(part) : ''))
+        .join(content);
+}
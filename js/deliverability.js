@@ -0,0 +1,227 @@
+/**
+ * ========================================
+ * Spam & Deliverability Heuristics
+ * ========================================
+ *
+ * A local content score in the spirit of SpamAssassin's body rules.
+ * Each rule that fires adds points; templates at or above SPAM_THRESHOLD
+ * are likely to land in the junk folder.
+ *
+ * - Image-to-text ratio (image-only mailings)
+ * - ALL CAPS text and spammy phrases ("FREE!!!", "act now")
+ * - Empty preheader
+ * - URL shorteners
+ * - Link text showing a different domain than the link goes to
+ * - No unsubscribe link in the footer
+ * - Very little text for the amount of HTML
+ *
+ * Blocks are checked on their own markup (exported without tracking, so
+ * redirect wrapping doesn't look like a mismatch); document-wide rules
+ * use exportHTML()/exportText().
+ */
+
+import { emailModel } from './model.js';
+import { emailExporter } from './exporter.js';
+import { getComponent, renderBlockHTML, renderBlockText } from './components.js';
+import { UNSUBSCRIBE_PATTERN } from './esp.js';
+
+/**
+ * Score at which a template is likely filtered
+ */
+export const SPAM_THRESHOLD = 5;
+
+/**
+ * Phrases that content filters weigh against a message
+ */
+const SPAM_PHRASES = [
+    '100% free', 'free gift', 'free money', 'act now', 'buy now', 'order now', 'limited time',
+    'risk-free', 'risk free', 'no cost', 'no credit check', 'winner', 'you have been selected',
+    'cash bonus', 'earn money', 'make money', 'double your', 'guaranteed', 'urgent',
+    'once in a lifetime', 'special promotion', 'this is not spam', 'click below'
+];
+
+/**
+ * URL shortener hosts (hide the destination, widely used by spammers)
+ */
+const URL_SHORTENERS = [
+    'bit.ly', 'tinyurl.com', 'goo.gl', 't.co', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly',
+    'cutt.ly', 'shorturl.at', 'tiny.cc', 'rb.gy', 'bl.ink', 'soo.gd'
+];
+
+/**
+ * Get the host of a URL (without www.)
+ */
+function getHost(url) {
+    const match = String(url || '').trim().match(/^(?:[a-z][a-z0-9+.-]*:\/\/)?([^/?#\s:]+)/i);
+    return match ? match[1].toLowerCase().replace(/^www\./, '') : '';
+}
+
+/**
+ * Decode the few entities that matter when reading link text
+ */
+function decodeText(text) {
+    return text
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .trim();
+}
+
+/**
+ * Get the links in rendered HTML
+ * @returns {Array} - [{ href, text }]
+ */
+function getLinks(html) {
+    const links = [];
+    const pattern = /<a\b[^>]*?\shref\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        links.push({ href: decodeText(match[2]), text: decodeText(match[3]) });
+    }
+    return links;
+}
+
+/**
+ * Count images in rendered HTML (tracking pixels don't count)
+ */
+function countImages(html) {
+    return (html.match(/<img\b[^>]*>/gi) || []).filter(tag => !/\bwidth="1"[^>]*\bheight="1"/i.test(tag)).length;
+}
+
+/**
+ * Check text for ALL CAPS, spam phrases and exclamation runs
+ * @param {string} text - Plain text
+ * @param {Function} addHit - addHit(rule, score, message)
+ * @param {number} weight - Multiplier (the subject line weighs more)
+ */
+function checkWording(text, addHit, weight = 1) {
+    const words = text.replace(/\{\{[^}]*\}\}|\*\|[^|]*\|\*/g, ' ').match(/[A-Za-zÀ-ÿ]{3,}/g) || [];
+    const capsWords = words.filter(word => word === word.toUpperCase() && word !== word.toLowerCase());
+    if (capsWords.length >= 3 && capsWords.length / words.length > 0.3) {
+        addHit('ALL_CAPS', 1.0 * weight, `${capsWords.length} of ${words.length} words are in ALL CAPS`);
+    }
+
+    const lower = text.toLowerCase();
+    const phrases = SPAM_PHRASES.filter(phrase => lower.includes(phrase));
+    if (/\bfree\b\s*!/i.test(text) && !phrases.includes('free!')) phrases.push('free!');
+    if (phrases.length > 0) {
+        addHit('SPAM_PHRASES', Math.min(2, 0.5 * phrases.length) * weight, `Spammy wording: ${phrases.map(phrase => `"${phrase}"`).join(', ')}`);
+    }
+
+    if (/[!?]{3,}|!{2,}/.test(text)) {
+        addHit('EXCLAMATION', 0.8 * weight, 'Multiple exclamation marks ("!!!")');
+    }
+}
+
+/**
+ * Check a block's links for shorteners and mismatched link text
+ */
+function checkLinks(html, addHit) {
+    const links = getLinks(html);
+
+    const shortened = links.filter(link => URL_SHORTENERS.includes(getHost(link.href)));
+    if (shortened.length > 0) {
+        addHit('URL_SHORTENER', 1.5, `Shortened link(s): ${shortened.map(link => link.href).join(', ')} - link to the real destination`);
+    }
+
+    links.forEach(link => {
+        // Only link text that looks like an address can mismatch
+        if (!/^(https?:\/\/)?(www\.)?([\w-]+\.)+[a-z]{2,}(\/\S*)?$/i.test(link.text)) return;
+        if (!/^https?:\/\//i.test(link.href)) return;
+
+        const shownHost = getHost(link.text);
+        const actualHost = getHost(link.href);
+        if (shownHost && actualHost && shownHost !== actualHost && !actualHost.endsWith(`.${shownHost}`)) {
+            addHit('LINK_MISMATCH', 2.0, `Link text "${link.text}" goes to ${actualHost} - looks like phishing to filters`);
+        }
+    });
+}
+
+/**
+ * Check the footer(s) for an unsubscribe link
+ */
+function checkUnsubscribe(blocks, addHit) {
+    const footers = blocks.filter(block => block.type === 'footer');
+    if (footers.length === 0) {
+        addHit(null, 'NO_UNSUBSCRIBE', 2.0, 'No footer with an unsubscribe link (required by CAN-SPAM / GDPR and by Gmail and Yahoo for bulk senders)');
+        return;
+    }
+
+    const footerLinks = footers.map(block => ({ block, links: getLinks(renderBlockHTML(block)) }));
+    const unsubscribe = footerLinks
+        .map(({ block, links }) => ({ block, link: links.find(link => UNSUBSCRIBE_PATTERN.test(link.text) || UNSUBSCRIBE_PATTERN.test(link.href)) }))
+        .find(({ link }) => link);
+
+    if (!unsubscribe) {
+        addHit(footers[0].id, 'NO_UNSUBSCRIBE', 2.0, 'The footer has no unsubscribe link');
+    } else if (/^#?$/.test(unsubscribe.link.href)) {
+        addHit(unsubscribe.block.id, 'UNSUBSCRIBE_NO_URL', 1.0, `The "${unsubscribe.link.text}" link has no URL`);
+    }
+}
+
+/**
+ * Score the template
+ * @returns {Object} - { score, threshold, hits: [{ blockId|null, label, rule, score, message }] }
+ */
+export function checkDeliverability() {
+    const hits = [];
+    const addHit = (blockId, rule, score, message) => hits.push({ blockId, rule, score, message });
+
+    const metadata = emailModel.getMetadata();
+    const blocks = emailModel.getAllBlocksFlat();
+
+    // Envelope
+    const subject = String(metadata.subject || '').trim();
+    if (subject) {
+        checkWording(subject, (rule, score, message) => addHit(null, `SUBJECT_${rule}`, score, `Subject: ${message}`), 1.5);
+    }
+    if (!String(metadata.preheader || '').trim()) {
+        addHit(null, 'EMPTY_PREHEADER', 0.5, 'No preheader - inboxes show the first text of the body instead');
+    }
+
+    // Per block (untracked markup, so redirect wrapping isn't a mismatch)
+    blocks.forEach(block => {
+        if (block.type === 'row') return; // Children are checked on their own
+
+        const blockHit = (rule, score, message) => addHit(block.id, rule, score, message);
+        checkWording(renderBlockText(block), blockHit);
+        checkLinks(renderBlockHTML(block), blockHit);
+    });
+    checkUnsubscribe(blocks, addHit);
+
+    // Document: image-to-text and HTML-to-text ratios
+    const html = emailExporter.exportHTML({ tracking: null });
+    const text = emailExporter.exportText({ tracking: null }).replace(/https?:\/\/\S+/g, '').replace(/\s+/g, ' ').trim();
+    const images = countImages(html);
+
+    if (images > 0 && text.length < 200) {
+        addHit(null, 'IMAGE_ONLY', 2.5, `${images} image(s) and only ${text.length} characters of text - image-only mailings are a classic spam pattern`);
+    } else if (images > 0 && text.length / images < 400) {
+        addHit(null, 'IMAGE_TEXT_RATIO', 1.0, `${images} image(s) for ${text.length} characters of text - aim for at least 400 characters per image`);
+    }
+
+    const textRatio = html.length > 0 ? text.length / html.length : 1;
+    if (textRatio < 0.02) {
+        addHit(null, 'HTML_TEXT_RATIO', 1.0, `Text is ${(textRatio * 100).toFixed(1)}% of the HTML - very little content for the amount of markup`);
+    }
+
+    const score = Math.round(hits.reduce((total, hit) => total + hit.score, 0) * 10) / 10;
+
+    return {
+        score,
+        threshold: SPAM_THRESHOLD,
+        hits: hits.map(hit => {
+            const block = hit.blockId ? emailModel.getBlock(hit.blockId) : null;
+            const component = block ? getComponent(block.type) : null;
+            return {
+                ...hit,
+                score: Math.round(hit.score * 10) / 10,
+                label: block ? (component ? component.label : block.type) : 'Email'
+            };
+        })
+    };
+}
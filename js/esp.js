@@ -0,0 +1,207 @@
+/**
+ * ========================================
+ * ESP Adapters
+ * ========================================
+ *
+ * Export targets for specific ESPs. An adapter picks the merge tag dialect
+ * (which also drives visibility rules and repeater loops) and post-processes
+ * the rendered block tree: EmailExporter passes adaptBlockHTML to
+ * renderBlockHTML for every block, then wraps the top-level blocks.
+ *
+ * - Mailchimp:        *|MERGE|* tags, mc:edit regions, *|UNSUB|*
+ * - Campaign Monitor: [field,fallback=] tags, <singleline>/<multiline>
+ *                     editable content, blocks as <layout>s of a <repeater>,
+ *                     <unsubscribe>
+ * - SendGrid:         Handlebars tags, {{{unsubscribe}}}
+ * - Klaviyo:          Django-style tags, {% unsubscribe_url %}
+ *
+ * Footer links (link list and links in the footer text) whose text or URL
+ * reads as an unsubscribe link are mapped to the ESP's unsubscribe tag
+ * (same test as the spam check).
+ */
+
+import { getComponent, getBlockClass, renderBlockHTML } from './components.js';
+import { getContentClass } from './responsive.js';
+
+/**
+ * Unsubscribe links as ESPs write them
+ */
+export const UNSUBSCRIBE_PATTERN = /unsubscribe|opt[\s-]?out|\*\|UNSUB\|\*|asm_group_unsubscribe|\{\{\s*unsubscribe|\{%\s*unsubscribe/i;
+
+/**
+ * Rendered <a> elements (group 1 = attributes, group 2 = content)
+ */
+const ANCHOR_PATTERN = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+
+/**
+ * Replace the unsubscribe links of rendered footer HTML
+ * @param {string} html - Rendered footer
+ * @param {Function} replace - (text, style) => markup
+ * @returns {string}
+ */
+function replaceUnsubscribeLinks(html, replace) {
+    return html.replace(ANCHOR_PATTERN, (match, attrs, text) => {
+        const href = (attrs.match(/\shref="([^"]*)"/i) || [])[1] || '';
+        if (!UNSUBSCRIBE_PATTERN.test(text) && !UNSUBSCRIBE_PATTERN.test(href)) return match;
+        return replace(text, (attrs.match(/\sstyle="([^"]*)"/i) || [])[1] || '');
+    });
+}
+
+/**
+ * Build the style attribute of an unsubscribe link (none if the original link had no style)
+ */
+function styleAttr(style) {
+    return style ? ` style="${style}"` : '';
+}
+
+/**
+ * Block types with editable content
+ */
+const EDITABLE_TYPES = ['text', 'heading', 'button', 'image', 'footer', 'twoColumns', 'columns', 'html'];
+
+/**
+ * Find a block's content cell (the element carrying its content class)
+ * @returns {Object|null} - { openTag, openIndex, start, end } (start/end = inner HTML)
+ */
+function findContentCell(html, block) {
+    const contentClass = getContentClass(getBlockClass(block.id));
+    const open = new RegExp(`<(td|div)\\b[^>]*\\sclass="${contentClass}"[^>]*>`).exec(html);
+    if (!open) return null;
+
+    // Nested cells (rich content tables, column layouts) are skipped by depth
+    const tagPattern = new RegExp(`<(/?)${open[1]}\\b[^>]*>`, 'gi');
+    tagPattern.lastIndex = open.index + open[0].length;
+    let depth = 1;
+    let match;
+    while ((match = tagPattern.exec(html))) {
+        depth += match[1] ? -1 : 1;
+        if (depth === 0) {
+            return { openTag: open[0], openIndex: open.index, start: open.index + open[0].length, end: match.index };
+        }
+    }
+    return null;
+}
+
+/**
+ * Replace the inner HTML of a block's content cell
+ */
+function updateContentCell(html, block, update) {
+    const cell = findContentCell(html, block);
+    if (!cell) return html;
+    return html.slice(0, cell.start) + update(html.slice(cell.start, cell.end)) + html.slice(cell.end);
+}
+
+/**
+ * Unique region name for a block (e.g. text_5kv2ixhm8)
+ */
+function getRegionName(block) {
+    return `${block.type}_${String(block.id).split('-').pop()}`;
+}
+
+/**
+ * Export targets
+ * - mergeTagDialect: key of MERGE_TAG_DIALECTS
+ * - unsubscribeLink(text, style): markup replacing a footer unsubscribe <a>
+ * - editableRegion(html, block): optional, marks the block's content as editable
+ * - wrapBlocks(blocks): optional, wraps the rendered top-level blocks [{ html, block }]
+ */
+export const ESP_ADAPTERS = {
+    mailchimp: {
+        label: 'Mailchimp',
+        mergeTagDialect: 'mailchimp',
+        unsubscribeLink: (text, style) => `<a href="*|UNSUB|*"${styleAttr(style)}>${text}</a>`,
+        editableRegion: (html, block) => {
+            const cell = findContentCell(html, block);
+            if (!cell) return html;
+            const openTag = cell.openTag.replace(/>$/, ` mc:edit="${getRegionName(block)}">`);
+            return html.slice(0, cell.openIndex) + openTag + html.slice(cell.start);
+        }
+    },
+    campaignmonitor: {
+        label: 'Campaign Monitor',
+        mergeTagDialect: 'campaignmonitor',
+        unsubscribeLink: (text, style) => `<unsubscribe${styleAttr(style)}>${text}</unsubscribe>`,
+        editableRegion: (html, block) => {
+            switch (block.type) {
+                case 'text':
+                    return updateContentCell(html, block, inner => `<multiline label="Text">${inner}</multiline>`);
+                case 'heading':
+                    return updateContentCell(html, block, inner => inner.replace(
+                        /(<h[1-6]\b[^>]*>)([\s\S]*?)(<\/h[1-6]>)/i,
+                        (match, open, text, close) => `${open}<singleline label="Heading">${text.trim()}</singleline>${close}`
+                    ));
+                case 'image':
+                    return updateContentCell(html, block, inner => inner.replace(/<img\b/i, '<img editable="true" label="Image"'));
+                default:
+                    return html;
+            }
+        },
+        // Every block is a layout the sender can add, remove and reorder
+        wrapBlocks: (blocks) => `<repeater>
+${blocks.map(({ html, block }) => {
+        const component = getComponent(block.type);
+        return `<layout label="${component ? component.label : block.type}">${html}</layout>`;
+    }).join('\n')}
+</repeater>`
+    },
+    sendgrid: {
+        label: 'SendGrid',
+        mergeTagDialect: 'sendgrid',
+        unsubscribeLink: (text, style) => `<a href="{{{unsubscribe}}}"${styleAttr(style)}>${text}</a>`
+    },
+    klaviyo: {
+        label: 'Klaviyo',
+        mergeTagDialect: 'klaviyo',
+        // {% unsubscribe %} renders its own unstyled link - keep the footer's style
+        unsubscribeLink: (text, style) => `<a href="{% unsubscribe_url %}"${styleAttr(style)}>${text}</a>`
+    }
+};
+
+/**
+ * Post-process a rendered block for an ESP
+ * @param {string} html - Rendered block HTML
+ * @param {Object} block - Block (children of rows are processed on their own)
+ * @param {Object} adapter - Entry of ESP_ADAPTERS
+ * @returns {string} - HTML with the ESP's unsubscribe links and editable regions
+ */
+export function adaptBlockHTML(html, block, adapter) {
+    let adapted = html;
+
+    if (block.type === 'footer') {
+        adapted = replaceUnsubscribeLinks(adapted, adapter.unsubscribeLink);
+    }
+
+    if (adapter.editableRegion && EDITABLE_TYPES.includes(block.type)) {
+        adapted = adapter.editableRegion(adapted, block);
+    }
+
+    return adapted;
+}
+
+/**
+ * Join the rendered top-level blocks for an ESP
+ * @param {Array} blocks - [{ html, block }]
+ * @param {Object} adapter - Entry of ESP_ADAPTERS
+ * @returns {string} - Body HTML
+ */
+export function wrapBlocksHTML(blocks, adapter) {
+    return adapter.wrapBlocks ? adapter.wrapBlocks(blocks) : blocks.map(({ html }) => html).join('\n');
+}
+
+/**
+ * Check whether a footer has an unsubscribe link (ESPs require one)
+ * The rendered footer is checked, so links in its text count like adaptBlockHTML maps them
+ * @param {Array} blocks - All blocks (flat)
+ * @returns {boolean}
+ */
+export function hasUnsubscribeLink(blocks) {
+    return blocks.some(block => {
+        if (block.type !== 'footer') return false;
+        let found = false;
+        replaceUnsubscribeLinks(renderBlockHTML(block), (text) => {
+            found = true;
+            return text;
+        });
+        return found;
+    });
+}
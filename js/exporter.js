@@ -8,7 +8,7 @@
  * KEY EMAIL REQUIREMENTS:
  * - Tables for layout (NO divs/flexbox/grid)
  * - Inline styles (NO external CSS)
- * - Web-safe fonts only
+ * - Web-safe fonts (web fonts only with a fallback stack, hidden from Outlook)
  * - Limited CSS support
  * - Responsive using media queries (standard approach)
  * - Fallback fonts
@@ -17,59 +17,935 @@
  */
 
 import { emailModel } from './model.js';
-import { renderBlockHTML } from './components.js';
+import { renderBlockHTML, renderBlockText, renderBlockMJML, getComponent, getBlockClass, getColumnCount } from './components.js';
+import { convertToAMP, validateAMPMarkup, measureAMPCSS, AMP_CSS_LIMIT } from './amp.js';
+import { checkCompatibility, checkStylesheetCompatibility } from './compatibility.js';
+import { escapeHTML, sanitizeCSSValue, sanitizeURL } from './sanitize.js';
+import { rewriteMergeTags, findMergeTags, findUndeclaredMergeTags } from './mergeTags.js';
+import { getMobileRules, RESPONSIVE_VISIBILITY_CSS } from './responsive.js';
+import { buildFontHeadHTML, buildFontFallbackCSS, applyFontFallbackClasses, getFallbackStack, buildFontMJML } from './fonts.js';
+import { createZip } from './zip.js';
+import { getRepeater, isLoopItemTag, supportsLoops } from './loops.js';
+import { ESP_ADAPTERS, adaptBlockHTML, wrapBlocksHTML } from './esp.js';
+import { EMAIL_PATTERN } from './links.js';
+
+/**
+ * Gmail clips messages whose HTML exceeds ~102KB ("[Message clipped]")
+ */
+export const GMAIL_CLIP_LIMIT = 102 * 1024;
+
+/**
+ * Images up to this size are inlined as base64 when a package is exported with inlineImages
+ */
+export const PACKAGE_INLINE_IMAGE_LIMIT = 10 * 1024;
+
+/**
+ * Tags whose surrounding whitespace is insignificant when minifying
+ * (inline tags like <a>, <strong>, <span> keep their spacing)
+ */
+const MINIFY_BLOCK_TAGS = 'html|head|body|meta|title|style|link|table|tbody|thead|tfoot|tr|td|th|div|p|h[1-6]|ul|ol|li|br|hr|center|xml|noscript|v:[a-z]+|w:[a-z]+|o:[a-z]+';
+
+/**
+ * Base64-encode a UTF-8 string, wrapped at 76 characters (RFC 2045)
+ */
+function base64Lines(str) {
+    const bytes = new TextEncoder().encode(str);
+    return wrapBase64(bytesToBase64(bytes));
+}
+
+/**
+ * Base64-encode a byte array
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Wrap base64 text at 76 characters per line
+ */
+function wrapBase64(base64) {
+    return base64.replace(/[\r\n]/g, '').replace(/.{1,76}/g, '$&\r\n').trimEnd();
+}
+
+/**
+ * Decode base64 to a byte array
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64.replace(/\s/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Encode a header value as RFC 2047 when it contains non-ASCII characters
+ */
+function encodeHeader(value) {
+    if (/^[\x20-\x7e]*$/.test(value)) return value;
+    return `=?UTF-8?B?${bytesToBase64(new TextEncoder().encode(value))}?=`;
+}
+
+/**
+ * Clean an email address for a message header
+ * @returns {string} - The address, or '' if it isn't a single valid address
+ */
+function getHeaderAddress(value) {
+    const address = String(value || '').replace(/[\r\n]/g, '').trim();
+    return EMAIL_PATTERN.test(address) ? address : '';
+}
+
+/**
+ * Format a From mailbox ("Name" <address>)
+ * ASCII names are quoted (with " and \ escaped), others become an encoded-word
+ */
+function formatMailbox(name, address) {
+    const displayName = String(name || '').replace(/[\r\n]+/g, ' ').trim();
+    if (!displayName) return `<${address}>`;
+    const phrase = /^[\x20-\x7e]*$/.test(displayName)
+        ? `"${displayName.replace(/["\\]/g, '\\$&')}"`
+        : encodeHeader(displayName);
+    return `${phrase} <${address}>`;
+}
+
+/**
+ * Get template settings merged with export options
+ * Settings end up in <style> blocks and style attributes, so they're CSS-sanitized.
+ * Declared variables are included for visibility rules (Mailchimp merge fields),
+ * campaign tracking for links and the open pixel (pass tracking: null to skip it)
+ * and the registered web fonts.
+ */
+function getTemplateSettings(options = {}) {
+    const settings = {
+        ...emailModel.getSettings(),
+        variables: emailModel.getVariables(),
+        tracking: emailModel.getTracking(),
+        fonts: emailModel.getFonts(),
+        ...options
+    };
+    Object.keys(emailModel.getSettings()).forEach(key => {
+        settings[key] = sanitizeCSSValue(settings[key]);
+    });
+    return settings;
+}
 
 class EmailExporter {
     /**
      * Export full email HTML
-     * @param {Object} options - Export options
+     * @param {Object} options - Export options (minify, forceDarkMode, layout: 'hybrid'
+     *   renders columns as fluid inline-block divs that stack without media queries,
+     *   esp: key of ESP_ADAPTERS maps merge tags, unsubscribe links and editable regions)
      * @returns {string} - Complete HTML email
      */
     exportHTML(options = {}) {
+        const metadata = emailModel.getMetadata();
+        const adapter = options.esp ? ESP_ADAPTERS[options.esp] : null;
+        const settings = getTemplateSettings(adapter ? {
+            ...options,
+            mergeTagDialect: adapter.mergeTagDialect,
+            adaptBlockHTML: (html, block) => adaptBlockHTML(html, block, adapter)
+        } : options);
         const {
-            subject = 'Email Template',
-            backgroundColor = '#ffffff',
-            contentWidth = '600px'
+            subject = metadata.subject || 'Email Template',
+            preheader = metadata.preheader,
+            lang = metadata.lang || 'en',
+            forceDarkMode = false,
+            minify = false
         } = options;
         
         const blocks = emailModel.getAllBlocks();
         
         // Build body HTML from blocks, handling nested blocks
-        const bodyHTML = blocks.map(block => {
+        const renderedBlocks = blocks.map(block => {
+            return {
+                block,
+                html: renderBlockHTML(block, (blockId) => {
+                    return emailModel.getChildBlocks(blockId);
+                }, settings)
+            };
+        });
+        const bodyHTML = adapter
+            ? wrapBlocksHTML(renderedBlocks, adapter)
+            : renderedBlocks.map(({ html }) => html).join('\n');
+        
+        // Elements using a web font get the class that swaps in its fallback in Outlook
+        const fontedBodyHTML = applyFontFallbackClasses(bodyHTML, settings.fonts);
+        
+        // Wrap in complete email HTML structure
+        const html = this.applyMergeTags(this.wrapEmailHTML(fontedBodyHTML, {
+            ...settings,
+            subject,
+            preheader,
+            lang,
+            darkModeCSS: this.buildDarkModeCSS(forceDarkMode),
+            mobileCSS: this.buildMobileCSS()
+        }), settings, escapeHTML);
+        
+        return minify ? this.minifyHTML(html) : html;
+    }
+
+    /**
+     * Rewrite {{merge_tags}} to the template's (or the requested) dialect
+     * @param {string} content - Rendered output
+     * @param {Object} settings - Template settings / export options (mergeTagDialect)
+     * @param {Function} escapeFallback - Escapes fallback values for the output format
+     * @returns {string} - Content with rewritten tags
+     */
+    applyMergeTags(content, settings, escapeFallback = (value) => value) {
+        let variables = emailModel.getVariables();
+        
+        // The preview shows a sample audience's values where it has them
+        if (settings.mergeTagDialect === 'preview' && settings.previewAudience) {
+            variables = variables.map(variable => {
+                const value = variable.name.split('.').reduce((current, key) => {
+                    return current !== undefined && current !== null ? current[key] : undefined;
+                }, settings.previewAudience);
+                return value !== undefined && value !== null ? { ...variable, fallback: String(value) } : variable;
+            });
+        }
+        
+        return rewriteMergeTags(content, variables, settings.mergeTagDialect, escapeFallback);
+    }
+
+    /**
+     * Find merge tags that aren't declared in the template variables
+     * @returns {Array} - [{ blockId, label, names: [string] }] (empty if all declared)
+     */
+    validateMergeTags() {
+        const variables = emailModel.getVariables();
+        const declared = variables.map(variable => variable.name);
+        const results = [];
+        
+        // Email details can be personalized too
+        const metadata = emailModel.getMetadata();
+        ['subject', 'preheader'].forEach(key => {
+            const names = findMergeTags(metadata[key]).filter(name => !declared.includes(name));
+            if (names.length > 0) {
+                results.push({ blockId: null, label: key === 'subject' ? 'Subject' : 'Preheader', names });
+            }
+        });
+        
+        // Tracking values end up in every link, so they're checked once here
+        const trackingNames = findUndeclaredMergeTags(emailModel.getTracking(), variables);
+        if (trackingNames.length > 0) {
+            results.push({ blockId: null, label: 'Campaign Tracking', names: trackingNames });
+        }
+        
+        // renderBlockHTML reports undeclared tags per block (children are rendered with their row)
+        const onUndeclaredMergeTags = (block, names) => {
+            const component = getComponent(block.type);
+            results.push({ blockId: block.id, label: component ? component.label : block.type, names });
+        };
+        emailModel.getAllBlocks().forEach(block => {
+            renderBlockHTML(block, (blockId) => emailModel.getChildBlocks(blockId), {
+                ...getTemplateSettings(),
+                tracking: null,
+                variables,
+                onUndeclaredMergeTags
+            });
+        });
+        
+        return results;
+    }
+
+    /**
+     * Find repeater rows a dialect can't loop over
+     * Mailchimp and Campaign Monitor export the children once, so their item
+     * tags and item visibility rules (e.g. {{item.name}}) can't be resolved
+     * @param {string} dialect - Merge tag dialect of the export (default: the template's)
+     * @returns {Array} - [{ blockId, label, collection, names: [string] }] (empty if the dialect loops)
+     */
+    validateRepeaters(dialect = emailModel.getSettings().mergeTagDialect) {
+        if (supportsLoops(dialect)) return [];
+        
+        const results = [];
+        emailModel.getAllBlocksFlat().forEach(block => {
+            const repeater = block.type === 'row' ? getRepeater(block.data) : null;
+            if (!repeater) return;
+            
+            const names = [];
+            const collectItemTags = (rowId) => {
+                emailModel.getChildBlocks(rowId).forEach(child => {
+                    [...findUndeclaredMergeTags(child.data, []), child.data.visibilityVariable].forEach(name => {
+                        if (name && isLoopItemTag(name, [repeater.itemName]) && !names.includes(name)) names.push(name);
+                    });
+                    if (child.type === 'row') collectItemTags(child.id);
+                });
+            };
+            collectItemTags(block.id);
+            results.push({ blockId: block.id, label: getComponent('row').label, collection: repeater.collection, names });
+        });
+        
+        return results;
+    }
+
+    /**
+     * Check the exported HTML against the client compatibility rules
+     * Each block is checked on its own markup (rows without their children),
+     * the document wrapper and <style> blocks are reported as "Document".
+     * @param {Object} options - Export options
+     * @returns {Array} - [{ blockId, label, issues: [{ declaration, element, clients, note }] }]
+     */
+    checkClientCompatibility(options = {}) {
+        const settings = getTemplateSettings(options);
+        const results = [];
+        
+        emailModel.getAllBlocksFlat().forEach(block => {
+            const component = getComponent(block.type);
+            const issues = checkCompatibility(renderBlockHTML(block, null, settings));
+            if (issues.length > 0) {
+                results.push({
+                    blockId: block.id,
+                    label: component ? component.label : block.type,
+                    issues
+                });
+            }
+        });
+        
+        const documentIssues = [
+            ...checkCompatibility(this.wrapEmailHTML('', settings)),
+            ...checkStylesheetCompatibility(this.exportHTML(options))
+        ];
+        if (documentIssues.length > 0) {
+            results.push({ blockId: null, label: 'Document', issues: documentIssues });
+        }
+        
+        return results;
+    }
+
+    /**
+     * Minify email HTML
+     * Strips comments and collapses whitespace, but keeps MSO conditional
+     * comments (<!--[if mso]>, <!--[if !mso]><!-->, <!--<![endif]-->) intact
+     * @param {string} html - Email HTML
+     * @returns {string} - Minified HTML
+     */
+    minifyHTML(html) {
+        let minified = html;
+        
+        // Remove regular comments, keep conditional comments
+        minified = minified.replace(/<!--(?!\[if|<!\[endif\]|>)[\s\S]*?-->/g, '');
+        
+        // Remove CSS comments and collapse whitespace inside <style> blocks
+        minified = minified.replace(/(<style[^>]*>)([\s\S]*?)(<\/style>)/gi, (match, open, css, close) => {
+            const compactCSS = css
+                .replace(/\/\*[\s\S]*?\*\//g, '')
+                .replace(/\s+/g, ' ')
+                .replace(/\s*([{};:,])\s*/g, '$1')
+                .replace(/;}/g, '}')
+                .trim();
+            return `${open}${compactCSS}${close}`;
+        });
+        
+        // Collapse whitespace runs to a single space
+        minified = minified.replace(/\s+/g, ' ');
+        
+        // Drop whitespace around block-level tags and conditional comment markers
+        const blockTag = new RegExp(`\\s*(<\\/?(?:${MINIFY_BLOCK_TAGS})\\b[^>]*>)\\s*`, 'gi');
+        minified = minified.replace(blockTag, '$1');
+        minified = minified.replace(/\s*(<!--\[if[^\]]*\]>(?:<!-->)?|<!--<!\[endif\]-->|<!\[endif\]-->)\s*/g, '$1');
+        
+        return minified.trim();
+    }
+
+    /**
+     * Measure UTF-8 byte size of a string
+     * @param {string} str - Content
+     * @returns {number} - Size in bytes
+     */
+    getByteSize(str) {
+        return new TextEncoder().encode(str).length;
+    }
+
+    /**
+     * Build a size report for the Gmail clipping budget
+     * @param {Object} options - Export options (minify is respected)
+     * @returns {Object} - { totalBytes, limit, overLimit, minifiedBytes, blocks: [{ id, type, label, bytes, depth }] }
+     */
+    getSizeReport(options = {}) {
+        const html = this.exportHTML(options);
+        const totalBytes = this.getByteSize(html);
+        const minifiedBytes = options.minify
+            ? totalBytes
+            : this.getByteSize(this.minifyHTML(html));
+        const getChildBlocks = (blockId) => emailModel.getChildBlocks(blockId);
+        const settings = getTemplateSettings(options);
+        
+        // Per-block sizes (rows include their children; children are listed below them)
+        const blocks = [];
+        const measureBlock = (block, depth) => {
+            const blockHTML = renderBlockHTML(block, getChildBlocks, settings);
+            const component = getComponent(block.type);
+            blocks.push({
+                id: block.id,
+                type: block.type,
+                label: component ? component.label : block.type,
+                bytes: this.getByteSize(options.minify ? this.minifyHTML(blockHTML) : blockHTML),
+                depth
+            });
+            if (block.type === 'row') {
+                getChildBlocks(block.id).forEach(child => measureBlock(child, depth + 1));
+            }
+        };
+        emailModel.getAllBlocks().forEach(block => measureBlock(block, 0));
+        
+        return {
+            totalBytes,
+            minifiedBytes,
+            limit: GMAIL_CLIP_LIMIT,
+            overLimit: totalBytes > GMAIL_CLIP_LIMIT,
+            blocks
+        };
+    }
+
+    /**
+     * Export plain-text alternative (text/plain part)
+     * Walks the same block tree as exportHTML
+     * @param {Object} options - Export options (mergeTagDialect)
+     * @returns {string} - Plain text email
+     */
+    exportText(options = {}) {
+        const blocks = emailModel.getAllBlocks();
+        const settings = getTemplateSettings(options);
+        
+        const text = blocks
+            .map(block => renderBlockText(block, (blockId) => {
+                return emailModel.getChildBlocks(blockId);
+            }, settings))
+            .filter(blockText => blockText.trim() !== '')
+            .join('\n\n');
+        
+        // Collapse runs of blank lines left by empty blocks
+        return this.applyMergeTags(text.replace(/\n{3,}/g, '\n\n').trim() + '\n', settings);
+    }
+
+    /**
+     * Export the block tree as MJML
+     * @param {Object} options - Export options
+     * @returns {string} - MJML document
+     */
+    exportMJML(options = {}) {
+        const metadata = emailModel.getMetadata();
+        const {
+            subject = metadata.subject || 'Email Template',
+            preheader = metadata.preheader,
+            lang = metadata.lang || 'en'
+        } = options;
+        const settings = getTemplateSettings(options);
+        const { backgroundColor, contentWidth, fontFamily, fonts } = settings;
+        
+        const bodyMJML = emailModel.getAllBlocks().map(block => {
+            return renderBlockMJML(block, (blockId) => {
+                return emailModel.getChildBlocks(blockId);
+            }, false, settings);
+        }).join('\n');
+        
+        return this.applyMergeTags(`<mjml lang="${escapeHTML(lang)}">
+    <mj-head>
+        <mj-title>${escapeHTML(subject)}</mj-title>
+        ${preheader ? `<mj-preview>${escapeHTML(preheader)}</mj-preview>` : ''}
+        ${buildFontMJML(fonts)}
+        <mj-attributes>
+            <mj-all font-family="${fontFamily}" />
+        </mj-attributes>
+    </mj-head>
+    <mj-body width="${contentWidth}" background-color="${backgroundColor}">
+${bodyMJML}
+    </mj-body>
+</mjml>
+`, settings, escapeHTML);
+    }
+
+    /**
+     * Export a complete MIME message (.eml) for opening in desktop clients
+     * multipart/alternative with text/plain and text/html parts. With
+     * embedImages, data-URL and local (relative) images become CID
+     * attachments in a multipart/related part so the file works offline.
+     * @param {Object} options - Export options (embedImages plus exportHTML options)
+     * @returns {Promise<string>} - EML file content (CRLF line endings)
+     */
+    async exportEML(options = {}) {
+        const { embedImages = false } = options;
+        const metadata = emailModel.getMetadata();
+        const subject = this.applyMergeTags(metadata.subject || 'Email Template', getTemplateSettings(options));
+        const fromName = metadata.fromName || 'Email Builder';
+        const fromAddress = getHeaderAddress(metadata.fromEmail) || 'sender@example.com';
+        const replyTo = getHeaderAddress(metadata.replyTo);
+        
+        let html = this.exportHTML(options);
+        const text = this.exportText(options);
+        
+        // Collect embeddable images and rewrite their src to cid: references
+        // (rendered src values are escaped, so match the escaped form)
+        const attachments = embedImages ? await this.collectEmbeddableImages() : [];
+        attachments.forEach(attachment => {
+            html = html.split(`src="${escapeHTML(attachment.src)}"`).join(`src="cid:${attachment.cid}"`);
+        });
+        
+        const boundary = (name) => `----=_${name}_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 8)}`;
+        const altBoundary = boundary('Alt');
+        const relatedBoundary = boundary('Related');
+        
+        const headers = [
+            `From: ${formatMailbox(fromName, fromAddress)}`,
+            ...(replyTo ? [`Reply-To: ${replyTo}`] : []),
+            'To: recipient@example.com',
+            `Subject: ${encodeHeader(subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            `Message-ID: <${Date.now()}.${Math.random().toString(36).substr(2, 9)}@email-builder.local>`,
+            'MIME-Version: 1.0',
+            `Content-Type: multipart/alternative; boundary="${altBoundary}"`
+        ];
+        
+        const textPart = [
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            base64Lines(text)
+        ].join('\r\n');
+        
+        const htmlPart = [
+            'Content-Type: text/html; charset=UTF-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            base64Lines(html)
+        ].join('\r\n');
+        
+        let htmlSection = htmlPart;
+        if (attachments.length > 0) {
+            const imageParts = attachments.map(attachment => [
+                `Content-Type: ${attachment.mimeType}; name="${attachment.filename}"`,
+                'Content-Transfer-Encoding: base64',
+                `Content-ID: <${attachment.cid}>`,
+                `Content-Disposition: inline; filename="${attachment.filename}"`,
+                '',
+                wrapBase64(attachment.base64)
+            ].join('\r\n'));
+            
+            htmlSection = [
+                `Content-Type: multipart/related; boundary="${relatedBoundary}"`,
+                '',
+                ...[htmlPart, ...imageParts].map(part => `--${relatedBoundary}\r\n${part}`),
+                `--${relatedBoundary}--`
+            ].join('\r\n');
+        }
+        
+        return [
+            ...headers,
+            '',
+            'This is a multi-part message in MIME format.',
+            `--${altBoundary}`,
+            textPart,
+            `--${altBoundary}`,
+            htmlSection,
+            `--${altBoundary}--`,
+            ''
+        ].join('\r\n');
+    }
+
+    /**
+     * Collect images that can be embedded as CID attachments
+     * Data URLs are decoded directly; local (relative) paths are fetched.
+     * Remote http(s) images are left as links.
+     * @returns {Promise<Array>} - [{ src, cid, mimeType, filename, base64 }]
+     */
+    async collectEmbeddableImages() {
+        const sources = new Set();
+        emailModel.getAllBlocksFlat().forEach(block => {
+            if (block.type === 'image' && block.data.src) {
+                sources.add(block.data.src);
+            }
+            if (block.type === 'twoColumns' || block.type === 'columns') {
+                const count = block.type === 'columns' ? getColumnCount(block.data) : 2;
+                for (let index = 1; index <= count; index++) {
+                    if (block.data[`column${index}Type`] === 'image' && block.data[`column${index}Src`]) {
+                        sources.add(block.data[`column${index}Src`]);
+                    }
+                }
+            }
+        });
+        
+        const attachments = [];
+        let index = 0;
+        for (const src of sources) {
+            if (/^(https?:)?\/\//i.test(src)) continue;
+            
+            try {
+                let mimeType;
+                let base64;
+                const dataUrlMatch = src.match(/^data:([^;,]+)(;base64)?,(.*)$/i);
+                if (dataUrlMatch) {
+                    mimeType = dataUrlMatch[1];
+                    base64 = dataUrlMatch[2]
+                        ? dataUrlMatch[3]
+                        : bytesToBase64(new TextEncoder().encode(decodeURIComponent(dataUrlMatch[3])));
+                } else {
+                    const response = await fetch(src);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    const blob = await response.blob();
+                    mimeType = blob.type || 'application/octet-stream';
+                    base64 = bytesToBase64(new Uint8Array(await blob.arrayBuffer()));
+                }
+                
+                index++;
+                const extension = (mimeType.split('/')[1] || 'bin').replace('svg+xml', 'svg').replace('jpeg', 'jpg');
+                attachments.push({
+                    src,
+                    cid: `image${index}@email-builder.local`,
+                    mimeType,
+                    filename: `image${index}.${extension}`,
+                    base64
+                });
+            } catch (error) {
+                console.error('Could not embed image:', src, error);
+            }
+        }
+        
+        return attachments;
+    }
+
+    /**
+     * Download a .eml message file
+     */
+    async downloadEML(filename = 'email-template.eml', options = {}) {
+        const eml = await this.exportEML(options);
+        this.downloadFile(eml, filename, 'message/rfc822');
+    }
+
+    /**
+     * Export a self-contained package (ZIP): HTML, minified HTML, plain text,
+     * the template JSON and the data-URL and local images of the blocks in
+     * images/, with their src rewritten to the relative path. With
+     * inlineImages, images up to PACKAGE_INLINE_IMAGE_LIMIT stay in the HTML
+     * as base64 data URLs instead (remote images are always left as links).
+     * @param {Object} options - Export options (inlineImages plus exportHTML options)
+     * @returns {Promise<Uint8Array>} - ZIP file bytes
+     */
+    async exportPackage(options = {}) {
+        const { inlineImages = false, ...htmlOptions } = options;
+        
+        let html = this.exportHTML({ ...htmlOptions, minify: false });
+        const files = [];
+        
+        const images = await this.collectEmbeddableImages();
+        images.forEach(image => {
+            const bytes = base64ToBytes(image.base64);
+            const src = inlineImages && bytes.length <= PACKAGE_INLINE_IMAGE_LIMIT
+                ? `data:${image.mimeType};base64,${image.base64}`
+                : `images/${image.filename}`;
+            if (src.startsWith('images/')) {
+                files.push({ name: src, content: bytes });
+            }
+            html = html.split(`src="${escapeHTML(image.src)}"`).join(`src="${escapeHTML(src)}"`);
+        });
+        
+        return createZip([
+            { name: 'email-template.html', content: html },
+            { name: 'email-template.min.html', content: this.minifyHTML(html) },
+            { name: 'email-template.txt', content: this.exportText(htmlOptions) },
+            { name: 'email-template.json', content: JSON.stringify(emailModel.toJSON(), null, 2) },
+            ...files
+        ]);
+    }
+
+    /**
+     * Download the export package (.zip)
+     */
+    async downloadPackage(filename = 'email-template.zip', options = {}) {
+        const zip = await this.exportPackage(options);
+        this.downloadFile(new Blob([zip], { type: 'application/zip' }), filename);
+    }
+
+    /**
+     * Export AMP for Email (AMP4EMAIL) HTML
+     * Run validateAMP() first - this does not block invalid output on its own
+     * @param {Object} options - Export options
+     * @returns {string} - AMP email document
+     */
+    exportAMP(options = {}) {
+        const metadata = emailModel.getMetadata();
+        const {
+            subject = metadata.subject || 'Email Template',
+            preheader = metadata.preheader,
+            lang = metadata.lang || 'en'
+        } = options;
+        const settings = getTemplateSettings(options);
+        
+        const bodyHTML = emailModel.getAllBlocks().map(block => {
             return renderBlockHTML(block, (blockId) => {
                 return emailModel.getChildBlocks(blockId);
-            });
+            }, settings);
         }).join('\n');
         
-        // Wrap in complete email HTML structure
-        const html = this.wrapEmailHTML(bodyHTML, {
+        return this.applyMergeTags(this.wrapAMPHTML(convertToAMP(bodyHTML), {
+            ...settings,
             subject,
-            backgroundColor,
-            contentWidth
+            preheader,
+            lang
+        }), settings, escapeHTML);
+    }
+
+    /**
+     * Validate the AMP output per block
+     * Each block is checked on its own markup (rows without their children,
+     * which are checked individually), plus document-level limits.
+     * @param {Object} options - Export options
+     * @returns {Array} - [{ blockId, label, violations: [string] }] (empty if valid)
+     */
+    validateAMP(options = {}) {
+        const results = [];
+        
+        emailModel.getAllBlocksFlat().forEach(block => {
+            const component = getComponent(block.type);
+            const violations = validateAMPMarkup(convertToAMP(renderBlockHTML(block, null, getTemplateSettings())));
+            if (violations.length > 0) {
+                results.push({
+                    blockId: block.id,
+                    label: component ? component.label : block.type,
+                    violations
+                });
+            }
+        });
+        
+        const cssBytes = measureAMPCSS(this.exportAMP(options));
+        if (cssBytes > AMP_CSS_LIMIT) {
+            results.push({
+                blockId: null,
+                label: 'Document',
+                violations: [`CSS is ${cssBytes} bytes (amp-custom + inline styles), over the ${AMP_CSS_LIMIT} byte limit`]
+            });
+        }
+        
+        return results;
+    }
+
+    /**
+     * Wrap AMP content in the AMP4EMAIL document structure
+     * No !important is allowed, so responsive rules rely on overriding
+     * width attributes (which have lower precedence than CSS)
+     */
+    wrapAMPHTML(content, options) {
+        const {
+            subject,
+            preheader = '',
+            lang = 'en',
+            backgroundColor = '#ffffff',
+            containerBackgroundColor = '#ffffff',
+            contentWidth = '600px',
+            outerPadding = '20px',
+            fontFamily = 'Arial, sans-serif',
+            mobileBreakpoint = '600px'
+        } = options;
+        
+        return `<!doctype html>
+<html ⚡4email data-css-strict lang="${escapeHTML(lang)}">
+<head>
+    <meta charset="utf-8">
+    <script async src="https://cdn.ampproject.org/v0.js"></script>
+    <style amp4email-boilerplate>body{visibility:hidden}</style>
+    <style amp-custom>
+        body {
+            margin: 0;
+            padding: 0;
+            background-color: ${backgroundColor};
+        }
+        body, table, td {
+            font-family: ${fontFamily};
+        }
+        table {
+            border-collapse: collapse;
+        }
+        .preheader {
+            display: none;
+        }
+        @media only screen and (max-width: ${mobileBreakpoint}) {
+            table {
+                width: 100%;
+            }
+        }
+    </style>
+    <title>${escapeHTML(subject)}</title>
+</head>
+<body>
+    ${preheader ? `<div class="preheader">${escapeHTML(preheader)}</div>` : ''}
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: ${backgroundColor};">
+        <tr>
+            <td align="center" style="padding: ${outerPadding} 0;">
+                <table role="presentation" class="email-container" cellspacing="0" cellpadding="0" border="0" width="${parseInt(contentWidth, 10) || 600}" style="max-width: 100%; background-color: ${containerBackgroundColor};">
+                    <tr>
+                        <td class="email-content" style="padding: 0;">
+                            ${content}
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+    }
+
+    /**
+     * Download AMP HTML as file
+     */
+    downloadAMP(filename = 'email-template.amp.html', options = {}) {
+        this.downloadFile(this.exportAMP(options), filename, 'text/x-amp-html');
+    }
+
+    /**
+     * Build dark-mode overrides from per-block dark colors
+     * Apple Mail/iOS use prefers-color-scheme; Outlook.com rewrites colors and
+     * marks the body with data-ogsc (text) / data-ogsb (background).
+     * @param {boolean} forceDarkMode - Apply overrides unconditionally (preview)
+     * @returns {string} - CSS rules (empty if no block has dark colors)
+     */
+    buildDarkModeCSS(forceDarkMode = false) {
+        const mediaRules = [];
+        const outlookRules = [];
+        
+        emailModel.getAllBlocksFlat().forEach(block => {
+            const component = getComponent(block.type);
+            if (!component || !component.darkColors) return;
+            
+            const blockClass = getBlockClass(block.id);
+            component.darkColors.forEach(darkColor => {
+                const value = sanitizeCSSValue(block.data[darkColor.key]);
+                if (!value) return;
+                
+                const selectors = darkColor.selector
+                    ? darkColor.selector.split(',').map(sel => `.${blockClass} ${sel.trim()}`)
+                    : [`.${blockClass}`];
+                const declaration = `${darkColor.property}: ${value} !important;`;
+                const outlookAttr = darkColor.property === 'background-color' ? 'data-ogsb' : 'data-ogsc';
+                
+                mediaRules.push(`${selectors.join(', ')} { ${declaration} }`);
+                outlookRules.push(`${selectors.map(sel => `[${outlookAttr}] ${sel}`).join(', ')} { ${declaration} }`);
+            });
         });
         
-        return html;
+        if (mediaRules.length === 0) return '';
+        
+        const indent = '\n            ';
+        const media = forceDarkMode ? '@media screen' : '@media (prefers-color-scheme: dark)';
+        
+        return `/* Dark mode */
+        ${media} {${indent}${mediaRules.join(indent)}
+        }
+        ${outlookRules.join('\n        ')}`;
+    }
+
+    /**
+     * Build mobile overrides (font size, padding, alignment) from per-block settings,
+     * plus component rules such as column stacking (component.mobileRules)
+     * The rules target each block's content cell; wrapEmailHTML puts them in the
+     * mobile media query and the canvas applies them in its mobile view.
+     * @returns {string} - CSS rules (empty if no block has mobile rules)
+     */
+    buildMobileCSS() {
+        const rules = [];
+        
+        emailModel.getAllBlocksFlat().forEach(block => {
+            const component = getComponent(block.type);
+            if (!component) return;
+            
+            if (component.mobileOverrides) {
+                rules.push(...getMobileRules(block.data, component.mobileOverrides, getBlockClass(block.id)));
+            }
+            if (component.mobileRules) {
+                rules.push(...component.mobileRules(block.data, getBlockClass(block.id)));
+            }
+        });
+        
+        return rules.join('\n            ');
+    }
+
+    /**
+     * Build hidden preview text (preheader) shown in inbox listings
+     * Padded with zero-width spacers so clients don't pull body text after it
+     * @param {string} preheader - Preview text
+     * @returns {string} - Hidden span HTML (empty if no preheader)
+     */
+    buildPreheaderHTML(preheader) {
+        if (!preheader) return '';
+        
+        const spacerCount = Math.max(0, 150 - preheader.length);
+        const spacers = '&zwnj;&nbsp;'.repeat(spacerCount);
+        
+        return `<span class="preheader" style="display: none !important; visibility: hidden; mso-hide: all; font-size: 1px; line-height: 1px; max-height: 0; max-width: 0; opacity: 0; overflow: hidden; color: transparent;">${escapeHTML(preheader)}${spacers}</span>`;
+    }
+
+    /**
+     * Build the open-tracking pixel appended to the body
+     * @param {Object} tracking - Campaign tracking settings (openPixelUrl)
+     * @returns {string} - 1x1 image HTML (empty if no pixel is set)
+     */
+    buildOpenPixelHTML(tracking) {
+        const url = tracking ? String(tracking.openPixelUrl || '').trim() : '';
+        if (!url || sanitizeURL(url) === '#') return '';
+        
+        return `<img src="${escapeHTML(url)}" width="1" height="1" alt="" border="0" style="display: block; width: 1px; height: 1px; border: 0; margin: 0; padding: 0; overflow: hidden;">`;
     }
 
     /**
      * Wrap content in complete email HTML structure
      */
     wrapEmailHTML(content, options) {
-        const { subject, backgroundColor, contentWidth } = options;
+        const {
+            subject,
+            preheader = '',
+            lang = 'en',
+            backgroundColor,
+            containerBackgroundColor = '#ffffff',
+            contentWidth,
+            outerPadding = '20px',
+            fontFamily = 'Arial, sans-serif',
+            mobileBreakpoint = '600px',
+            darkModeCSS = '',
+            mobileCSS = '',
+            tracking = null,
+            fonts = []
+        } = options;
+        
+        // Outlook gets each web font's fallback stack instead of the font
+        const fontFallbackCSS = buildFontFallbackCSS(fonts);
+        const fontHeadHTML = buildFontHeadHTML(fonts);
         
         return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${escapeHTML(lang)}" xmlns="http://www.w3.org/1999/xhtml" xmlns:v="urn:schemas-microsoft-com:vml" xmlns:o="urn:schemas-microsoft-com:office:office">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
     <meta http-equiv="X-UA-Compatible" content="IE=edge">
-    <title>${subject}</title>
+    <meta name="color-scheme" content="light dark">
+    <meta name="supported-color-schemes" content="light dark">
+    <title>${escapeHTML(subject)}</title>
+    ${fontHeadHTML}
     <!--[if mso]>
+    <noscript>
+        <xml>
+            <o:OfficeDocumentSettings>
+                <o:AllowPNG/>
+                <o:PixelsPerInch>96</o:PixelsPerInch>
+            </o:OfficeDocumentSettings>
+        </xml>
+    </noscript>
     <style type="text/css">
-        body, table, td {font-family: Arial, sans-serif !important;}
+        body, table, td {font-family: ${getFallbackStack(fontFamily, fonts)} !important;}
+        ${fontFallbackCSS}
     </style>
     <![endif]-->
     <style type="text/css">
+        :root {
+            color-scheme: light dark;
+            supported-color-schemes: light dark;
+        }
+        
         /* Reset styles */
         body {
             margin: 0;
@@ -79,6 +955,9 @@ class EmailExporter {
             word-wrap: break-word;
             overflow-wrap: break-word;
         }
+        body, table, td {
+            font-family: ${fontFamily};
+        }
         table {
             border-collapse: collapse;
             mso-table-lspace: 0pt;
@@ -95,7 +974,7 @@ class EmailExporter {
         }
         
         /* Responsive styles */
-        @media only screen and (max-width: 600px) {
+        @media only screen and (max-width: ${mobileBreakpoint}) {
             html {
                 width: 100% !important;
                 max-width: 100% !important;
@@ -160,16 +1039,23 @@ class EmailExporter {
             table, td, th {
                 box-sizing: border-box !important;
             }
+            /* Hide on mobile / hide on desktop */
+            ${RESPONSIVE_VISIBILITY_CSS}
+            ${mobileCSS ? `/* Mobile overrides */
+            ${mobileCSS}` : ''}
         }
+        
+        ${darkModeCSS}
     </style>
 </head>
 <body style="margin: 0; padding: 0; background-color: ${backgroundColor || '#f8fafc'};">
+    ${this.buildPreheaderHTML(preheader)}
     <!-- Wrapper table for email container -->
     <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: ${backgroundColor || '#f8fafc'};">
         <tr>
-            <td align="center" style="padding: 20px 0;">
+            <td align="center" style="padding: ${outerPadding} 0;">
                 <!-- Email content container -->
-                <table role="presentation" class="email-container" cellspacing="0" cellpadding="0" border="0" width="${contentWidth}" style="width: ${contentWidth}; max-width: 100%; background-color: #ffffff; border-radius: 0;">
+                <table role="presentation" class="email-container" cellspacing="0" cellpadding="0" border="0" width="${parseInt(contentWidth, 10) || 600}" style="width: ${contentWidth}; max-width: 100%; background-color: ${containerBackgroundColor}; border-radius: 0;">
                     <tr>
                         <td class="email-content" style="padding: 0;">
                             ${content}
@@ -179,6 +1065,7 @@ class EmailExporter {
             </td>
         </tr>
     </table>
+    ${this.buildOpenPixelHTML(tracking)}
 </body>
 </html>`;
     }
@@ -187,15 +1074,36 @@ class EmailExporter {
      * Copy HTML to clipboard
      */
     async copyToClipboard(options = {}) {
-        const html = this.exportHTML(options);
-        
+        return this.copyText(this.exportHTML(options));
+    }
+
+    /**
+     * Copy MJML to clipboard
+     */
+    async copyMJMLToClipboard(options = {}) {
+        return this.copyText(this.exportMJML(options));
+    }
+
+    /**
+     * Copy plain-text version to clipboard
+     */
+    async copyTextToClipboard() {
+        return this.copyText(this.exportText());
+    }
+
+    /**
+     * Copy a string to the clipboard
+     * @param {string} text - Content to copy
+     * @returns {Promise<boolean>} - Success
+     */
+    async copyText(text) {
         try {
-            await navigator.clipboard.writeText(html);
+            await navigator.clipboard.writeText(text);
             return true;
         } catch (error) {
             // Fallback for older browsers
             const textarea = document.createElement('textarea');
-            textarea.value = html;
+            textarea.value = text;
             textarea.style.position = 'fixed';
             textarea.style.opacity = '0';
             document.body.appendChild(textarea);
@@ -216,8 +1124,31 @@ class EmailExporter {
      * Download HTML as file
      */
     downloadHTML(filename = 'email-template.html', options = {}) {
-        const html = this.exportHTML(options);
-        const blob = new Blob([html], { type: 'text/html' });
+        this.downloadFile(this.exportHTML(options), filename, 'text/html');
+    }
+
+    /**
+     * Download plain-text version as file
+     */
+    downloadText(filename = 'email-template.txt') {
+        this.downloadFile(this.exportText(), filename, 'text/plain');
+    }
+
+    /**
+     * Download MJML as file
+     */
+    downloadMJML(filename = 'email-template.mjml', options = {}) {
+        this.downloadFile(this.exportMJML(options), filename, 'text/plain');
+    }
+
+    /**
+     * Trigger a browser download for a string or Blob
+     * @param {string|Blob} content - File content
+     * @param {string} filename - Download filename
+     * @param {string} mimeType - MIME type (ignored for Blobs)
+     */
+    downloadFile(content, filename, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         
         const link = document.createElement('a');
@@ -0,0 +1,295 @@
+/**
+ * ========================================
+ * Web Fonts
+ * ========================================
+ *
+ * Custom fonts registered at template level. Each font has a name, a
+ * stylesheet URL (e.g. Google Fonts) and/or uploaded font files, and the
+ * fallback stack used where web fonts don't load:
+ *   { name, url, files: [{ data, format, weight, style, filename }], fallback }
+ *
+ * Email clients differ a lot here:
+ * - Apple Mail, iOS Mail and Samsung load <link> and @font-face fonts
+ * - Gmail and Yahoo ignore them and use the next font in the stack
+ * - Outlook (Word engine) falls back to Times New Roman instead of the
+ *   stack, so the font is hidden from it and every element using it gets
+ *   a class that forces the fallback stack in an <!--[if mso]> style
+ */
+
+import { escapeHTML, sanitizeCSSValue, sanitizeURL } from './sanitize.js';
+
+/**
+ * Default fallback stack for fonts registered without one
+ */
+export const DEFAULT_FALLBACK = 'Arial, sans-serif';
+
+/**
+ * Uploadable font file types (extension -> @font-face format)
+ */
+export const FONT_FORMATS = {
+    woff2: 'woff2',
+    woff: 'woff',
+    ttf: 'truetype',
+    otf: 'opentype'
+};
+
+/**
+ * Clean a font name for use inside a quoted CSS string
+ */
+function cleanFontName(name) {
+    return sanitizeCSSValue(name).replace(/['",]/g, '').trim();
+}
+
+/**
+ * Class that maps a font to its fallback in Outlook
+ */
+function getFallbackClass(font) {
+    return `font-fallback-${cleanFontName(font.name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+}
+
+/**
+ * Get the first family of a font stack, without quotes
+ * (stacks from style attributes may have escaped quotes: &#39;Roboto&#39;)
+ */
+function getPrimaryFamily(stack) {
+    return String(stack || '')
+        .replace(/&#39;|&quot;/g, '')
+        .split(',')[0]
+        .replace(/['"]/g, '')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Get the CSS font stack of a registered font
+ * @param {Object} font - Registered font
+ * @returns {string} - e.g. "'Open Sans', Arial, sans-serif"
+ */
+export function getFontStack(font) {
+    return `'${cleanFontName(font.name)}', ${sanitizeCSSValue(font.fallback || DEFAULT_FALLBACK)}`;
+}
+
+/**
+ * Get font picker options for the registered fonts
+ * @param {Array} fonts - Registered fonts
+ * @returns {Array} - [{ value, label }]
+ */
+export function getFontOptions(fonts) {
+    return fonts
+        .filter(font => cleanFontName(font.name))
+        .map(font => ({
+            value: getFontStack(font),
+            label: `${cleanFontName(font.name)} (web font, falls back to ${font.fallback || DEFAULT_FALLBACK})`
+        }));
+}
+
+/**
+ * Find the registered font a stack starts with
+ * @param {string} stack - CSS font stack
+ * @param {Array} fonts - Registered fonts
+ * @returns {Object|null} - Font, or null for web-safe stacks
+ */
+export function findFont(stack, fonts) {
+    const family = getPrimaryFamily(stack);
+    if (!family) return null;
+    return fonts.find(font => cleanFontName(font.name).toLowerCase() === family) || null;
+}
+
+/**
+ * Get the stack Outlook should use for a font stack
+ * @param {string} stack - CSS font stack
+ * @param {Array} fonts - Registered fonts
+ * @returns {string} - The fallback stack for registered fonts, otherwise the stack itself
+ */
+export function getFallbackStack(stack, fonts) {
+    const font = findFont(stack, fonts);
+    return font ? sanitizeCSSValue(font.fallback || DEFAULT_FALLBACK) : stack;
+}
+
+/**
+ * Get the url() source of an uploaded font file
+ * (base64 data URLs as read by readFontFile, anything else must be a safe URL)
+ */
+function getFontSource(file) {
+    const data = String(file.data || '');
+    if (/^data:[\w.+/-]+;base64,[A-Za-z0-9+/=]+$/.test(data)) return data;
+    return sanitizeCSSValue(sanitizeURL(data)).replace(/['()\s]/g, '');
+}
+
+/**
+ * Build @font-face rules for uploaded font files
+ */
+function buildFontFaceCSS(fonts) {
+    return fonts.flatMap(font => (font.files || []).map(file => `
+        @font-face {
+            font-family: '${cleanFontName(font.name)}';
+            src: url('${getFontSource(file)}') format('${FONT_FORMATS[file.format] || 'woff2'}');
+            font-weight: ${sanitizeCSSValue(file.weight || 'normal')};
+            font-style: ${sanitizeCSSValue(file.style || 'normal')};
+        }`)).join('');
+}
+
+/**
+ * Build the <head> markup that loads the registered fonts
+ * Wrapped in a non-MSO conditional so Outlook never sees the web fonts
+ * @param {Array} fonts - Registered fonts
+ * @returns {string} - HTML (empty if no fonts are registered)
+ */
+export function buildFontHeadHTML(fonts) {
+    const links = fonts
+        .filter(font => font.url && sanitizeURL(font.url) !== '#')
+        .map(font => `<link href="${escapeHTML(sanitizeURL(font.url))}" rel="stylesheet" type="text/css">`);
+    const fontFaces = buildFontFaceCSS(fonts);
+    if (links.length === 0 && !fontFaces) return '';
+
+    return `<!--[if !mso]><!-->
+    ${links.join('\n    ')}
+    ${fontFaces ? `<style type="text/css">${fontFaces}
+    </style>` : ''}
+    <!--<![endif]-->`;
+}
+
+/**
+ * Build a stylesheet that loads the registered fonts in the editor
+ * (the exported email uses buildFontHeadHTML instead)
+ * @param {Array} fonts - Registered fonts
+ * @returns {string} - CSS with @import and @font-face rules
+ */
+export function buildFontStylesheet(fonts) {
+    const imports = fonts
+        .filter(font => font.url && sanitizeURL(font.url) !== '#')
+        .map(font => `@import url("${sanitizeCSSValue(sanitizeURL(font.url))}");`);
+    return [...imports, buildFontFaceCSS(fonts)].join('\n');
+}
+
+/**
+ * Build the <mj-head> markup that loads the registered fonts
+ * (MJML adds its own MSO handling for <mj-font>)
+ * @param {Array} fonts - Registered fonts
+ * @returns {string} - <mj-font> elements and an @font-face <mj-style>
+ */
+export function buildFontMJML(fonts) {
+    const mjFonts = fonts
+        .filter(font => font.url && sanitizeURL(font.url) !== '#')
+        .map(font => `<mj-font name="${escapeHTML(cleanFontName(font.name))}" href="${escapeHTML(sanitizeURL(font.url))}" />`);
+    const fontFaces = buildFontFaceCSS(fonts);
+
+    return [...mjFonts, ...(fontFaces ? [`<mj-style>${fontFaces}\n        </mj-style>`] : [])].join('\n        ');
+}
+
+/**
+ * Build the Outlook rules that swap each font for its fallback
+ * (class rules beat the body/table/td rule of the MSO style block)
+ * @param {Array} fonts - Registered fonts
+ * @returns {string} - CSS rules
+ */
+export function buildFontFallbackCSS(fonts) {
+    return fonts
+        .filter(font => cleanFontName(font.name))
+        .map(font => `.${getFallbackClass(font)} {font-family: ${sanitizeCSSValue(font.fallback || DEFAULT_FALLBACK)} !important;}`)
+        .join('\n        ');
+}
+
+/**
+ * Tag every element whose inline font-family starts with a registered font
+ * with that font's fallback class (see buildFontFallbackCSS)
+ * @param {string} html - Rendered email HTML
+ * @param {Array} fonts - Registered fonts
+ * @returns {string} - HTML with fallback classes added
+ */
+export function applyFontFallbackClasses(html, fonts) {
+    if (fonts.length === 0) return html;
+
+    return html.replace(/<([a-zA-Z][a-zA-Z0-9]*)\b([^>]*?\sstyle\s*=\s*"[^"]*font-family\s*:\s*((?:&#39;|&quot;|[^;"])*)[^"]*"[^>]*)>/g, (match, tag, attributes, stack) => {
+        const font = findFont(stack, fonts);
+        if (!font) return match;
+
+        const fallbackClass = getFallbackClass(font);
+        if (/\sclass\s*=\s*"/.test(attributes)) {
+            return match.replace(/(\sclass\s*=\s*")([^"]*)"/, (classMatch, prefix, classes) => {
+                return `${prefix}${classes ? `${classes} ` : ''}${fallbackClass}"`;
+            });
+        }
+        return `<${tag} class="${fallbackClass}"${attributes}>`;
+    });
+}
+
+/**
+ * Parse the fonts editor text ("Name | CSS URL | fallback stack" per line)
+ * Fonts with uploaded files show "uploaded" as their URL and keep their files
+ * @param {string} text - Editor text
+ * @param {Array} existing - Currently registered fonts
+ * @returns {Array} - Fonts
+ */
+export function parseFonts(text, existing = []) {
+    const fonts = [];
+
+    String(text || '').split('\n').forEach(line => {
+        const [name = '', url = '', ...fallback] = line.split('|').map(part => part.trim());
+        const cleanName = cleanFontName(name);
+        if (!cleanName || fonts.some(font => cleanFontName(font.name).toLowerCase() === cleanName.toLowerCase())) return;
+
+        const previous = existing.find(font => cleanFontName(font.name).toLowerCase() === cleanName.toLowerCase());
+        const isUploaded = /^uploaded\b/i.test(url);
+        fonts.push({
+            name: cleanName,
+            url: isUploaded ? (previous ? previous.url || '' : '') : url,
+            files: previous ? previous.files || [] : [],
+            fallback: fallback.join('|').trim() || DEFAULT_FALLBACK
+        });
+    });
+
+    return fonts;
+}
+
+/**
+ * Format fonts for the fonts editor
+ * @param {Array} fonts - Registered fonts
+ * @returns {string} - Editor text
+ */
+export function formatFonts(fonts) {
+    return fonts
+        .map(font => {
+            const files = font.files || [];
+            const source = files.length > 0 && !font.url
+                ? `uploaded (${files.map(file => file.filename || file.format).join(', ')})`
+                : font.url || '';
+            return [font.name, source, font.fallback || DEFAULT_FALLBACK].join(' | ');
+        })
+        .join('\n');
+}
+
+/**
+ * Read an uploaded font file
+ * @param {File} file - .woff2, .woff, .ttf or .otf file
+ * @returns {Promise<Object>} - { data (data URL), format, weight, style, filename }
+ */
+export function readFontFile(file) {
+    return new Promise((resolve, reject) => {
+        const extension = (file.name.split('.').pop() || '').toLowerCase();
+        if (!FONT_FORMATS[extension]) {
+            reject(new Error(`Unsupported font file type: .${extension}`));
+            return;
+        }
+
+        // Weight and style from the usual file naming (Roboto-BoldItalic.woff2)
+        const baseName = file.name.replace(/\.[^.]+$/, '');
+        const weight = /black|heavy/i.test(baseName) ? '900'
+            : /extra-?bold/i.test(baseName) ? '800'
+            : /semi-?bold/i.test(baseName) ? '600'
+            : /bold/i.test(baseName) ? 'bold'
+            : /light/i.test(baseName) ? '300'
+            : 'normal';
+
+        const reader = new FileReader();
+        reader.onload = () => resolve({
+            data: reader.result,
+            format: extension,
+            weight,
+            style: /italic/i.test(baseName) ? 'italic' : 'normal',
+            filename: file.name
+        });
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
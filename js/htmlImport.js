@@ -0,0 +1,555 @@
+/**
+ * ========================================
+ * HTML Import
+ * ========================================
+ *
+ * Turns an existing table-based email into editable blocks. The document is
+ * parsed with DOMParser and walked from <body> down through its layout tables:
+ *
+ * - <h1>-<h6>                               → heading (h4-h6 become h3)
+ * - <p>, lists, loose text and inline markup → text (adjacent ones are merged)
+ * - <img> (alone, optionally linked)         → image
+ * - Bulletproof buttons (a link with a background, or a table holding
+ *   nothing but one link on a colored cell)  → button
+ * - <hr>, empty cells with a border or a thin colored strip → divider
+ * - Empty cells with a height                → spacer
+ * - Table rows with two content cells        → twoColumns
+ *
+ * Anything else (rows with three or more cells, forms, inline elements
+ * wrapping tables...) is kept as a Custom HTML block. MSO conditional
+ * comments are dropped: the exporter writes its own Outlook markup.
+ * The <title>, the hidden preheader and <html lang> (if it's a language tag)
+ * become the email details.
+ */
+
+import { getComponent, HEADING_LEVELS } from './components.js';
+import { escapeHTML, LANG_PATTERN } from './sanitize.js';
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+/**
+ * Elements that never produce content
+ */
+const SKIP_TAGS = ['head', 'title', 'meta', 'link', 'style', 'script', 'noscript', 'template', 'xml'];
+
+/**
+ * Inline elements collected into text blocks
+ */
+const INLINE_TAGS = ['a', 'span', 'b', 'strong', 'i', 'em', 'u', 's', 'strike', 'small', 'sup', 'sub', 'font', 'br', 'code'];
+
+/**
+ * Block-level text elements collected into text blocks
+ */
+const TEXT_TAGS = ['p', 'ul', 'ol', 'blockquote', 'pre'];
+
+/**
+ * Layout elements that are walked into
+ */
+const CONTAINER_TAGS = ['body', 'div', 'center', 'td', 'th', 'section', 'article', 'header', 'footer', 'main'];
+
+/**
+ * Markup a text block can't hold
+ */
+const BLOCK_CONTENT_SELECTOR = 'table, h1, h2, h3, h4, h5, h6, hr';
+
+/**
+ * Heading sizes when the source doesn't set one
+ */
+const HEADING_FONT_SIZES = { h1: 32, h2: 24, h3: 20, h4: 18, h5: 16, h6: 14 };
+
+/**
+ * Characters used to pad preheaders (zero-width non-joiner, nbsp, ...)
+ */
+const PREHEADER_PADDING = /[\u200b-\u200d\u00a0\u034f\u2007\u00ad\ufeff]/g;
+
+/**
+ * Parse an element's style attribute
+ * @returns {Object} - Lowercase property → value
+ */
+function parseStyle(element) {
+    const style = {};
+    (element.getAttribute('style') || '').split(';').forEach(declaration => {
+        const colon = declaration.indexOf(':');
+        if (colon === -1) return;
+        const property = declaration.slice(0, colon).trim().toLowerCase();
+        const value = declaration.slice(colon + 1).replace(/!important/i, '').trim();
+        if (property && value) style[property] = value;
+    });
+    return style;
+}
+
+/**
+ * Normalize a color to #rrggbb (unsupported formats return '')
+ */
+function toHexColor(value) {
+    const color = String(value || '').trim().toLowerCase();
+    const short = color.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/);
+    if (short) return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`;
+    if (/^#[0-9a-f]{6}$/.test(color)) return color;
+    const rgb = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+    if (rgb) return `#${rgb.slice(1, 4).map(channel => Math.min(255, Number(channel)).toString(16).padStart(2, '0')).join('')}`;
+    return '';
+}
+
+/**
+ * Find the first hex/rgb color in a CSS value (e.g. a border or background shorthand)
+ */
+function findColor(value) {
+    const match = String(value || '').match(/#[0-9a-f]{6}\b|#[0-9a-f]{3}\b|rgba?\([^)]*\)/i);
+    return match ? toHexColor(match[0]) : '';
+}
+
+/**
+ * Read a pixel size (e.g. "20px" or "20") as a number (0 if none)
+ */
+function getPixels(value) {
+    const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)(px)?$/i);
+    return match ? Math.round(parseFloat(match[1])) : 0;
+}
+
+/**
+ * Collapse whitespace in an element's text
+ */
+function getText(node) {
+    return (node.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the background color of an element or its closest colored ancestor
+ */
+function getBackgroundColor(element) {
+    for (let node = element; node && node.nodeType === ELEMENT_NODE; node = node.parentElement) {
+        const style = parseStyle(node);
+        const color = toHexColor(style['background-color']) || findColor(style.background) || toHexColor(node.getAttribute('bgcolor'));
+        if (color) return color;
+    }
+    return '';
+}
+
+/**
+ * Get an inherited style of an element (the element's own first, then its ancestors)
+ * @param {string} property - CSS property
+ * @param {string} attribute - Optional presentational attribute (align, color...)
+ */
+function getInheritedStyle(element, property, attribute = null) {
+    for (let node = element; node && node.nodeType === ELEMENT_NODE; node = node.parentElement) {
+        const value = parseStyle(node)[property] || (attribute && node.getAttribute(attribute));
+        if (value) return value;
+    }
+    return '';
+}
+
+/**
+ * Get the text alignment that applies to an element
+ * Only looks up to the enclosing cell: align on outer layout cells centers the tables inside them
+ */
+function getAlign(element) {
+    for (let node = element; node && node.nodeType === ELEMENT_NODE; node = node.parentElement) {
+        const align = (parseStyle(node)['text-align'] || node.getAttribute('align') || '').toLowerCase();
+        if (['left', 'center', 'right'].includes(align)) return align;
+        if (['td', 'th'].includes(node.tagName.toLowerCase())) break;
+    }
+    return '';
+}
+
+/**
+ * Check whether an element is hidden (display: none, collapsed preheader wrappers)
+ */
+function isHidden(element) {
+    const style = parseStyle(element);
+    return /none/i.test(style.display || '')
+        || /hidden/i.test(style.visibility || '')
+        || (/^0(px)?$/.test(style['max-height'] || '') && /hidden/i.test(style.overflow || ''));
+}
+
+/**
+ * Check whether an element has no visible content (text, images, dividers or links)
+ */
+function isEmpty(element) {
+    return !getText(element).replace(PREHEADER_PADDING, '')
+        && !element.querySelector('img, hr, input, iframe, video');
+}
+
+/**
+ * Get the direct rows of a table (through thead/tbody/tfoot)
+ */
+function getRows(table) {
+    const rows = [];
+    Array.from(table.children).forEach(child => {
+        const tag = child.tagName.toLowerCase();
+        if (tag === 'tr') rows.push(child);
+        if (['thead', 'tbody', 'tfoot'].includes(tag)) {
+            rows.push(...Array.from(child.children).filter(row => row.tagName.toLowerCase() === 'tr'));
+        }
+    });
+    return rows;
+}
+
+/**
+ * Get the cells of a row
+ */
+function getCells(row) {
+    return Array.from(row.children).filter(cell => ['td', 'th'].includes(cell.tagName.toLowerCase()));
+}
+
+/**
+ * Check whether a link is styled as a button (own background, or padding and a border)
+ */
+function isButtonLink(element) {
+    if (element.tagName.toLowerCase() !== 'a' || !element.getAttribute('href')) return false;
+    if (element.querySelector('img') || getText(element).length > 80) return false;
+    const style = parseStyle(element);
+    return Boolean(toHexColor(style['background-color']) || findColor(style.background)
+        || (style.padding && (style.border || style['border-width'])));
+}
+
+/**
+ * Find the single link an element consists of (its text is the link's text)
+ */
+function getOnlyLink(element) {
+    const links = element.tagName.toLowerCase() === 'a' ? [element] : Array.from(element.querySelectorAll('a'));
+    if (links.length !== 1 || element.querySelector('img')) return null;
+    const text = getText(links[0]);
+    return text && text === getText(element) ? links[0] : null;
+}
+
+/**
+ * Find the button link of a bulletproof button table (one link on a colored cell)
+ */
+function getButtonTableLink(table) {
+    const link = getOnlyLink(table);
+    if (!link || getText(link).length > 80 || table.querySelectorAll('td, th').length > 2) return null;
+    const cell = link.closest('td, th');
+    const coloredCell = cell && table.contains(cell) && getBackgroundColor(cell) !== getBackgroundColor(table.parentElement);
+    return isButtonLink(link) || coloredCell ? link : null;
+}
+
+/**
+ * Find the single image an element consists of (no text around it)
+ */
+function getOnlyImage(element) {
+    if (element.tagName.toLowerCase() === 'img') return element;
+    const images = element.querySelectorAll('img');
+    return images.length === 1 && !getText(element) ? images[0] : null;
+}
+
+/**
+ * Map an empty element to a divider (border or thin colored strip) or a spacer (height)
+ * @returns {Object|null} - { type, data }
+ */
+function getSpacerOrDivider(element) {
+    const style = parseStyle(element);
+    const border = style['border-top'] || style['border-bottom'];
+    if (border && !/none/i.test(border) && getPixels((border.match(/\d+px/) || [])[0]) > 0) {
+        return {
+            type: 'divider',
+            data: { color: findColor(border), height: `${getPixels(border.match(/\d+px/)[0])}px` }
+        };
+    }
+
+    const height = getPixels(element.getAttribute('height')) || getPixels(style.height) || getPixels(style['line-height']);
+    if (!height) return null;
+    const color = toHexColor(style['background-color']) || toHexColor(element.getAttribute('bgcolor'));
+    if (color && height <= 4) {
+        return { type: 'divider', data: { color, height: `${height}px` } };
+    }
+    return { type: 'spacer', data: { height: `${height}px`, backgroundColor: getBackgroundColor(element) } };
+}
+
+/**
+ * Get the width of a cell as written (e.g. "50%" or "300")
+ */
+function getCellWidth(cell) {
+    return cell.getAttribute('width') || parseStyle(cell).width || '';
+}
+
+/**
+ * Split two cells' widths into percentages (equal when not set)
+ */
+function getColumnWidths(cells) {
+    const widths = cells.map(getCellWidth);
+    if (widths.every(width => /%$/.test(width))) return widths;
+    const pixels = widths.map(getPixels);
+    if (pixels.every(Boolean)) {
+        const total = pixels[0] + pixels[1];
+        const first = Math.round(pixels[0] / total * 100);
+        return [`${first}%`, `${100 - first}%`];
+    }
+    return ['50%', '50%'];
+}
+
+/**
+ * Check whether a cell can become a column (no nested multi-column rows)
+ */
+function isSimpleColumn(cell) {
+    return Array.from(cell.querySelectorAll('tr')).every(row => getCells(row).filter(nested => !isEmpty(nested)).length <= 1);
+}
+
+/**
+ * Merge detected values into a component's default data (empty values keep the default)
+ */
+function withDefaults(type, data) {
+    const values = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== '' && value !== 0 && value !== undefined));
+    return { ...getComponent(type).defaultData, ...values };
+}
+
+/**
+ * Import an email's HTML as blocks
+ * @param {string} html - Email HTML
+ * @returns {Object} - { blocks: [{ type, data }], metadata, summary: { counts, unmapped, notes } }
+ *   counts maps block types to how many were created, unmapped describes what
+ *   was kept as Custom HTML
+ */
+export function importEmailHTML(html) {
+    const doc = new DOMParser().parseFromString(String(html || ''), 'text/html');
+    const blocks = [];
+    const summary = { counts: {}, unmapped: [], notes: [] };
+    const metadata = {};
+    let pending = [];
+    let linkedImages = 0;
+
+    const title = doc.querySelector('title');
+    if (title && getText(title)) metadata.subject = getText(title);
+    const lang = (doc.documentElement.getAttribute('lang') || '').trim();
+    if (LANG_PATTERN.test(lang)) {
+        metadata.lang = lang;
+    } else if (lang) {
+        summary.notes.push(`The language "${lang}" was dropped (not a language tag)`);
+    }
+
+    const addBlock = (type, data) => {
+        blocks.push({ type, data: withDefaults(type, data) });
+        summary.counts[type] = (summary.counts[type] || 0) + 1;
+    };
+
+    const addRaw = (element, description, markup = element.outerHTML) => {
+        addBlock('html', { html: markup, backgroundColor: getBackgroundColor(element) });
+        summary.unmapped.push(description);
+    };
+
+    const addHeading = (element) => {
+        // The heading block has h1-h3; lower levels keep their size
+        const level = element.tagName.toLowerCase();
+        addBlock('heading', {
+            text: getText(element),
+            level: HEADING_LEVELS.includes(level) ? level : HEADING_LEVELS[HEADING_LEVELS.length - 1],
+            fontSize: getPixels(getInheritedStyle(element, 'font-size')) || HEADING_FONT_SIZES[level],
+            color: toHexColor(getInheritedStyle(element, 'color', 'color')),
+            textAlign: getAlign(element),
+            backgroundColor: getBackgroundColor(element)
+        });
+    };
+
+    const addImage = (image) => {
+        const style = parseStyle(image);
+        const width = getPixels(image.getAttribute('width')) || getPixels(style.width) || getPixels(style['max-width']);
+        if (image.closest('a')) linkedImages++;
+        addBlock('image', {
+            src: image.getAttribute('src') || '',
+            alt: image.getAttribute('alt') || '',
+            maxWidth: width ? `${width}px` : '',
+            imageHeight: String(getPixels(image.getAttribute('height')) || ''),
+            align: getAlign(image.parentElement),
+            borderRadius: style['border-radius'] || '',
+            backgroundColor: getBackgroundColor(image)
+        });
+    };
+
+    const addButton = (link, container) => {
+        const style = parseStyle(link);
+        const cell = link.closest('td, th');
+        const cellStyle = cell && container.contains(cell) ? parseStyle(cell) : {};
+        addBlock('button', {
+            text: getText(link),
+            url: link.getAttribute('href') || '',
+            backgroundColor: toHexColor(style['background-color']) || findColor(style.background) || getBackgroundColor(cell || link),
+            textColor: toHexColor(style.color),
+            fontSize: getPixels(style['font-size']),
+            padding: style.padding || cellStyle.padding || '',
+            borderRadius: style['border-radius'] || cellStyle['border-radius'] || '',
+            align: getAlign(container)
+        });
+    };
+
+    const addTwoColumns = (cells) => {
+        const widths = getColumnWidths(cells);
+        const data = { backgroundColor: getBackgroundColor(cells[0].parentElement) };
+        cells.forEach((cell, index) => {
+            const column = `column${index + 1}`;
+            const image = getOnlyImage(cell);
+            data[`${column}Width`] = widths[index];
+            if (image) {
+                if (image.closest('a')) linkedImages++;
+                data[`${column}Type`] = 'image';
+                data[`${column}Src`] = image.getAttribute('src') || '';
+                data[`${column}Alt`] = image.getAttribute('alt') || '';
+                data[`${column}MaxWidth`] = String(getPixels(image.getAttribute('width')) || '');
+                data[`${column}Height`] = String(getPixels(image.getAttribute('height')) || '');
+                data[`${column}Align`] = getAlign(cell);
+            } else {
+                data[`${column}Type`] = 'html';
+                data[`${column}Content`] = cell.innerHTML.trim();
+            }
+        });
+        addBlock('twoColumns', data);
+    };
+
+    // Adjacent text nodes, inline elements and paragraphs become one text block;
+    // runs of inline content are wrapped in paragraphs
+    const flushText = () => {
+        const nodes = pending;
+        pending = [];
+        if (!nodes.some(node => getText(node) || (node.nodeType === ELEMENT_NODE && node.querySelector('img')))) return;
+
+        const parts = [];
+        let inline = '';
+        const closeParagraph = () => {
+            const content = inline.trim().replace(/^(<br\s*\/?>\s*)+|(\s*<br\s*\/?>)+$/gi, '');
+            if (content) parts.push(`<p style="margin: 0;">${content}</p>`);
+            inline = '';
+        };
+        nodes.forEach(node => {
+            if (node.nodeType === TEXT_NODE) {
+                inline += escapeHTML(node.textContent.replace(/\s+/g, ' '));
+            } else if (INLINE_TAGS.includes(node.tagName.toLowerCase())) {
+                inline += node.outerHTML;
+            } else {
+                closeParagraph();
+                parts.push(node.outerHTML);
+            }
+        });
+        closeParagraph();
+
+        const first = nodes.find(node => node.nodeType === ELEMENT_NODE) || nodes[0].parentElement;
+        addBlock('text', {
+            content: parts.join('\n'),
+            color: toHexColor(getInheritedStyle(first, 'color', 'color')),
+            fontSize: getPixels(getInheritedStyle(first, 'font-size')),
+            textAlign: getAlign(first),
+            backgroundColor: getBackgroundColor(first)
+        });
+    };
+
+    const walkTable = (table) => {
+        const buttonLink = getButtonTableLink(table);
+        if (buttonLink) {
+            addButton(buttonLink, table);
+            return;
+        }
+
+        getRows(table).forEach(row => {
+            const cells = getCells(row);
+            const contentCells = cells.filter(cell => !isEmpty(cell));
+
+            if (contentCells.length === 0) {
+                const spacing = cells.map(getSpacerOrDivider).find(Boolean);
+                if (spacing) addBlock(spacing.type, spacing.data);
+            } else if (contentCells.length === 1) {
+                walk(contentCells[0]);
+                flushText();
+            } else if (contentCells.length === 2 && contentCells.every(isSimpleColumn)) {
+                addTwoColumns(contentCells);
+            } else {
+                addRaw(row, `Row with ${contentCells.length} columns`,
+                    `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">${row.outerHTML}</table>`);
+            }
+        });
+    };
+
+    const walk = (element) => {
+        Array.from(element.childNodes).forEach(node => {
+            // Whitespace-only nodes are kept too: they separate inline elements
+            if (node.nodeType === TEXT_NODE) {
+                pending.push(node);
+                return;
+            }
+            // Comments (MSO conditionals) and processing instructions are dropped
+            if (node.nodeType !== ELEMENT_NODE) return;
+
+            const tag = node.tagName.toLowerCase();
+            if (SKIP_TAGS.includes(tag) || tag.includes(':')) return;
+            if (isHidden(node)) {
+                if (!metadata.preheader && getText(node).replace(PREHEADER_PADDING, '')) {
+                    metadata.preheader = getText(node).replace(PREHEADER_PADDING, '').replace(/\s+/g, ' ').trim();
+                }
+                return;
+            }
+
+            if (/^h[1-6]$/.test(tag)) {
+                flushText();
+                addHeading(node);
+                return;
+            }
+            if (tag === 'img') {
+                flushText();
+                addImage(node);
+                return;
+            }
+            if (tag === 'hr') {
+                const style = parseStyle(node);
+                flushText();
+                addBlock('divider', {
+                    color: findColor(style['border-top']) || toHexColor(style['background-color']) || toHexColor(node.getAttribute('color')),
+                    height: `${getPixels((String(style['border-top'] || '').match(/\d+px/) || [])[0]) || getPixels(style.height) || getPixels(node.getAttribute('size')) || 1}px`
+                });
+                return;
+            }
+            if (tag === 'table') {
+                flushText();
+                walkTable(node);
+                return;
+            }
+
+            if (INLINE_TAGS.includes(tag) || TEXT_TAGS.includes(tag) || CONTAINER_TAGS.includes(tag)) {
+                if (isEmpty(node)) {
+                    const spacing = CONTAINER_TAGS.includes(tag) ? getSpacerOrDivider(node) : null;
+                    if (spacing) {
+                        flushText();
+                        addBlock(spacing.type, spacing.data);
+                    } else if (tag === 'br') {
+                        pending.push(node);
+                    }
+                    return;
+                }
+
+                const image = getOnlyImage(node);
+                if (image) {
+                    flushText();
+                    addImage(image);
+                    return;
+                }
+
+                const link = getOnlyLink(node);
+                if (link && isButtonLink(link)) {
+                    flushText();
+                    addButton(link, node);
+                    return;
+                }
+
+                // Images next to text stay inline; layout containers with images are walked
+                if (!node.querySelector(BLOCK_CONTENT_SELECTOR) && !(CONTAINER_TAGS.includes(tag) && node.querySelector('img'))) {
+                    pending.push(node);
+                } else if (CONTAINER_TAGS.includes(tag)) {
+                    walk(node);
+                } else {
+                    flushText();
+                    addRaw(node, `<${tag}> with block content`);
+                }
+                return;
+            }
+
+            flushText();
+            addRaw(node, `<${tag}>`);
+        });
+    };
+
+    walk(doc.body);
+    flushText();
+
+    if (linkedImages > 0) {
+        summary.notes.push(`${linkedImages} image link(s) were dropped (image blocks have no link)`);
+    }
+
+    return { blocks, metadata, summary };
+}
@@ -0,0 +1,281 @@
+/**
+ * ========================================
+ * Links (Inventory, Validation, Bulk Edit)
+ * ========================================
+ *
+ * Links live in several places in block data:
+ * - URL fields (button.url, image columns' link fields, ...)
+ * - Arrays of { text, url } (footer links)
+ * - <a href> anchors inside rich text (text content, twoColumns HTML)
+ *
+ * extractLinks() lists them all with their block, label and location,
+ * validateLinks() flags the ones that won't work, and getLinkUpdates()
+ * turns edited hrefs back into block data updates, applied as one
+ * undoable change (emailModel.updateBlocks).
+ */
+
+import { emailModel } from './model.js';
+import { getComponent } from './components.js';
+import { escapeHTML, isSafeURL } from './sanitize.js';
+import { MERGE_TAG_PATTERN } from './mergeTags.js';
+
+/**
+ * Data keys that hold link URLs (image sources are not links)
+ */
+const LINK_KEY_PATTERN = /^(url|href)$|(Url|Href)$/;
+
+/**
+ * Anchors in rich HTML (group 2 = href, group 3 = inner HTML)
+ */
+const ANCHOR_PATTERN = /<a\b[^>]*?\shref\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi;
+
+/**
+ * Email address (merge tags are replaced before checking)
+ */
+export const EMAIL_PATTERN = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[a-z]{2,}$/i;
+
+/**
+ * Phone number in a tel: link
+ */
+const PHONE_PATTERN = /^\+?[\d\s().-]{3,}$/;
+
+/**
+ * Plain text of an anchor's inner HTML
+ */
+function getAnchorText(html) {
+    return html
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Replace merge tags with a neutral value so the rest of the URL can be checked
+ */
+function withoutMergeTags(value) {
+    return value.replace(new RegExp(MERGE_TAG_PATTERN.source, 'g'), 'x');
+}
+
+/**
+ * Collect the links of one block
+ */
+function getBlockLinks(block) {
+    const component = getComponent(block.type);
+    const richFields = (component && component.richTextFields) || [];
+    const blockLabel = component ? component.label : block.type;
+    const links = [];
+
+    const visit = (value, path, siblings) => {
+        const key = path[path.length - 1];
+
+        if (typeof value === 'string') {
+            if (richFields.includes(path[0]) && path.length === 1) {
+                let anchor = 0;
+                value.replace(ANCHOR_PATTERN, (match, quote, href, inner) => {
+                    links.push({
+                        id: `${block.id}:${path.join('.')}:${anchor}`,
+                        blockId: block.id,
+                        blockLabel,
+                        label: getAnchorText(inner),
+                        href: href.replace(/&amp;/g, '&'),
+                        path,
+                        anchor
+                    });
+                    anchor++;
+                    return match;
+                });
+            } else if (typeof key === 'string' && LINK_KEY_PATTERN.test(key)) {
+                links.push({
+                    id: `${block.id}:${path.join('.')}`,
+                    blockId: block.id,
+                    blockLabel,
+                    // Buttons and footer links have their label next to the URL
+                    label: getAnchorText(String(siblings.text || siblings.label || '')) || key,
+                    href: value,
+                    path,
+                    anchor: null
+                });
+            }
+        } else if (Array.isArray(value)) {
+            value.forEach((item, index) => visit(item, [...path, index], value));
+        } else if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([childKey, item]) => visit(item, [...path, childKey], value));
+        }
+    };
+    Object.entries(block.data || {}).forEach(([key, value]) => visit(value, [key], block.data));
+
+    return links;
+}
+
+/**
+ * List every link in the template
+ * @returns {Array} - [{ id, blockId, blockLabel, label, href, path, anchor }]
+ */
+export function extractLinks() {
+    return emailModel.getAllBlocksFlat()
+        .filter(block => block.type !== 'row')
+        .flatMap(block => getBlockLinks(block));
+}
+
+/**
+ * Check a single href
+ * @param {string} href - Link as typed
+ * @returns {Array<string>} - Problems (empty if the link looks fine)
+ */
+export function validateHref(href) {
+    const value = String(href || '').trim();
+    const checkable = withoutMergeTags(value);
+
+    if (value === '' || value === '#') {
+        return ['Placeholder link (#) - add the real URL'];
+    }
+    if (/^\{\{[^}]*\}\}$/.test(value)) {
+        return []; // Filled in by the ESP
+    }
+
+    if (/^mailto:/i.test(value)) {
+        const [addresses] = checkable.slice(7).split('?');
+        let decoded;
+        try {
+            decoded = decodeURIComponent(addresses);
+        } catch (error) {
+            return ['Malformed mailto: address'];
+        }
+        const invalid = decoded.split(',').map(address => address.trim()).filter(address => !EMAIL_PATTERN.test(address));
+        return invalid.length > 0 ? [`Invalid email address in mailto: ${invalid.join(', ') || '(empty)'}`] : [];
+    }
+
+    if (/^tel:/i.test(value)) {
+        return PHONE_PATTERN.test(checkable.slice(4)) ? [] : ['Invalid phone number in tel: - use digits, e.g. tel:+15551234567'];
+    }
+
+    if (/^https?:\/\//i.test(value)) {
+        const problems = [];
+        if (/^http:\/\//i.test(value)) {
+            problems.push('Not secure (http://) - use https://');
+        }
+        try {
+            const url = new URL(checkable);
+            if (/\s/.test(checkable) || (!url.hostname.includes('.') && url.hostname !== 'localhost')) {
+                throw new Error('Malformed');
+            }
+        } catch (error) {
+            problems.push('Malformed URL');
+        }
+        return problems;
+    }
+
+    if (!isSafeURL(value)) {
+        return ['Unsafe or unsupported link scheme - it will be replaced with # on export'];
+    }
+    if (/^www\./i.test(value) || /^[\w-]+(\.[\w-]+)+(\/|$)/.test(value)) {
+        return ['Missing https:// - email clients treat it as a relative link'];
+    }
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(value) && !value.startsWith('#')) {
+        return ['Relative link - emails need absolute URLs'];
+    }
+
+    return [];
+}
+
+/**
+ * Validate all links, including duplicates (same text, different destinations)
+ * @param {Array} links - From extractLinks()
+ * @returns {Object} - { linkId: [problems] } (only links with problems)
+ */
+export function validateLinks(links) {
+    const problems = {};
+    const add = (link, problem) => {
+        problems[link.id] = [...(problems[link.id] || []), problem];
+    };
+
+    links.forEach(link => {
+        validateHref(link.href).forEach(problem => add(link, problem));
+    });
+
+    // Links with the same text should go to the same place
+    const byLabel = {};
+    links.forEach(link => {
+        const label = link.label.toLowerCase();
+        if (!label || label === link.path[link.path.length - 1]) return;
+        (byLabel[label] = byLabel[label] || []).push(link);
+    });
+    Object.values(byLabel).forEach(group => {
+        const hrefs = [...new Set(group.map(link => link.href.trim()))];
+        if (hrefs.length < 2) return;
+        group.forEach(link => add(link, `"${link.label}" also links to ${hrefs.filter(href => href !== link.href.trim()).join(', ')}`));
+    });
+
+    return problems;
+}
+
+/**
+ * Replace text in hrefs (find & replace)
+ * @param {Array} links - From extractLinks()
+ * @param {string} find - Text to find (case-sensitive)
+ * @param {string} replace - Replacement
+ * @returns {Object} - { linkId: newHref } for the links that change
+ */
+export function findReplaceHrefs(links, find, replace) {
+    const changes = {};
+    if (!find) return changes;
+
+    links.forEach(link => {
+        const href = link.href.split(find).join(replace);
+        if (href !== link.href) changes[link.id] = href;
+    });
+    return changes;
+}
+
+/**
+ * Set a value at a path in a copy of a data value
+ */
+function setAtPath(value, path, newValue) {
+    if (path.length === 0) return newValue;
+
+    const [key, ...rest] = path;
+    const copy = Array.isArray(value) ? [...value] : { ...value };
+    copy[key] = setAtPath(value[key], rest, newValue);
+    return copy;
+}
+
+/**
+ * Replace the href of the n-th anchor in rich HTML
+ */
+function setAnchorHref(html, anchorIndex, href) {
+    let index = 0;
+    return html.replace(/<a\b[^>]*?\shref\s*=\s*(["'])(.*?)\1/gi, (match, quote, oldHref) => {
+        if (index++ !== anchorIndex) return match;
+        return match.slice(0, match.length - oldHref.length - 2) + `"${escapeHTML(href)}"`;
+    });
+}
+
+/**
+ * Turn edited hrefs into block data updates
+ * @param {Array} links - From extractLinks()
+ * @param {Object} changes - { linkId: newHref }
+ * @returns {Object} - { blockId: updates } for emailModel.updateBlocks()
+ */
+export function getLinkUpdates(links, changes) {
+    const updatesById = {};
+
+    links.forEach(link => {
+        if (!(link.id in changes) || changes[link.id] === link.href) return;
+
+        const block = emailModel.getBlockById(link.blockId);
+        if (!block) return;
+
+        // Work on the pending update so several links in one field combine
+        const updates = updatesById[link.blockId] = updatesById[link.blockId] || {};
+        const [key, ...rest] = link.path;
+        const current = key in updates ? updates[key] : block.data[key];
+
+        updates[key] = link.anchor === null
+            ? setAtPath(current, rest, changes[link.id])
+            : setAnchorHref(current, link.anchor, changes[link.id]);
+    });
+
+    return updatesById;
+}
@@ -0,0 +1,190 @@
+/**
+ * ========================================
+ * Repeater Rows (Loops over Collections)
+ * ========================================
+ *
+ * A row can repeat its children for each item of a collection variable:
+ *   repeatCollection: 'order.items'
+ *   repeatItemName:   'item'   (children use {{item.name}}, {{item.price}}, ...)
+ *
+ * On export the children are wrapped in the loop syntax of the template's
+ * merge tag dialect. The preview repeats them for each item of the
+ * collection in the selected sample audience.
+ *
+ * Handlebars loops change the context, so template variables inside them
+ * are exported as {{@root.name}} (rewriteMergeTags keeps their fallbacks);
+ * visibility rules of the children are rewritten the same way.
+ * Mailchimp and Campaign Monitor merge tags have no loops, so repeated rows
+ * are exported once and exports warn about the item tags they can't resolve.
+ */
+
+import { MERGE_TAG_PATTERN } from './mergeTags.js';
+
+/**
+ * Valid collection path / item name
+ */
+const COLLECTION_PATTERN = /^[a-zA-Z_][\w.]*$/;
+const ITEM_NAME_PATTERN = /^[a-zA-Z_]\w*$/;
+
+/**
+ * Get the repeater of a row
+ * @param {Object} data - Row data
+ * @returns {Object|null} - { collection, itemName } or null if the row isn't repeated
+ */
+export function getRepeater(data) {
+    const collection = String(data.repeatCollection || '').trim();
+    if (!COLLECTION_PATTERN.test(collection)) return null;
+
+    const itemName = String(data.repeatItemName || '').trim();
+    return {
+        collection,
+        itemName: ITEM_NAME_PATTERN.test(itemName) ? itemName : 'item'
+    };
+}
+
+/**
+ * Matches {{item}} and {{item.field}} for an item name (group 1 = ".field" path)
+ */
+function itemTagPattern(itemName) {
+    return new RegExp(`\\{\\{\\s*${itemName}((?:\\.\\w+)*)\\s*\\}\\}`, 'g');
+}
+
+/**
+ * Point template variables inside a Handlebars loop at the root context
+ * (item tags of this and enclosing loops are left alone)
+ */
+function rootTemplateTags(content, itemNames) {
+    return content.replace(MERGE_TAG_PATTERN, (match, name) => {
+        return isLoopItemTag(name, itemNames) ? match : `{{@root.${name}}}`;
+    });
+}
+
+/**
+ * Resolve a dot path in sample data
+ */
+function resolvePath(source, path) {
+    return path.split('.').filter(Boolean).reduce((current, key) => {
+        return current !== undefined && current !== null ? current[key] : undefined;
+    }, source);
+}
+
+/**
+ * Point a visibility rule variable inside a Handlebars loop at the root context
+ * (item variables of this and enclosing loops are left alone)
+ */
+function rootRuleVariable(name, itemNames) {
+    return isLoopItemTag(name, itemNames) ? name : `@root.${name}`;
+}
+
+/**
+ * Loop syntax per dialect
+ * open/close(repeater) - loop tags; body(content, repeater, itemNames) - optional rewrite of
+ * the children; variable(name, itemNames) - optional rewrite of the children's rule
+ * variables (itemNames = item names of this and enclosing loops, innermost last);
+ * loops: false - the dialect has no loop syntax
+ */
+const LOOP_DIALECTS = {
+    handlebars: {
+        open: ({ collection, itemName }) => `{{#each ${collection} as |${itemName}|}}`,
+        close: () => '{{/each}}',
+        body: (content, repeater, itemNames) => rootTemplateTags(content, itemNames),
+        variable: rootRuleVariable
+    },
+    liquid: {
+        open: ({ collection, itemName }) => `{% for ${itemName} in ${collection} %}`,
+        close: () => '{% endfor %}'
+    },
+    sendgrid: {
+        // SendGrid's {{#each}} has no block parameters - the current item is "this"
+        open: ({ collection }) => `{{#each ${collection}}}`,
+        close: () => '{{/each}}',
+        body: (content, { itemName }, itemNames) => rootTemplateTags(content, itemNames)
+            .replace(itemTagPattern(itemName), (match, path) => `{{this${path}}}`),
+        variable: (name, itemNames) => {
+            const itemName = itemNames[itemNames.length - 1];
+            return isLoopItemTag(name, [itemName]) ? `this${name.slice(itemName.length)}` : rootRuleVariable(name, itemNames);
+        }
+    },
+    klaviyo: {
+        open: ({ collection, itemName }) => `{% for ${itemName} in ${collection} %}`,
+        close: () => '{% endfor %}'
+    },
+    mailchimp: {
+        loops: false,
+        open: () => '',
+        close: () => ''
+    },
+    campaignmonitor: {
+        loops: false,
+        open: () => '',
+        close: () => ''
+    }
+};
+
+/**
+ * Check whether a merge tag dialect can loop over collections
+ * @param {string} dialect - Merge tag dialect
+ * @returns {boolean} - False if repeated rows are exported once (Mailchimp, Campaign Monitor)
+ */
+export function supportsLoops(dialect) {
+    return (LOOP_DIALECTS[dialect] || LOOP_DIALECTS.handlebars).loops !== false;
+}
+
+/**
+ * Get the name a visibility rule variable has inside the enclosing loops
+ * @param {string} name - Rule variable (template variable or item path, e.g. item.in_stock)
+ * @param {Object} settings - mergeTagDialect and loopItemNames (item names of enclosing loops)
+ * @returns {string} - Variable as the dialect's loop context sees it (e.g. @root.plan, this.in_stock)
+ */
+export function getLoopRuleVariable(name, settings = {}) {
+    const itemNames = settings.loopItemNames || [];
+    const loop = LOOP_DIALECTS[settings.mergeTagDialect || 'handlebars'] || LOOP_DIALECTS.handlebars;
+    return itemNames.length > 0 && loop.variable ? loop.variable(name, itemNames) : name;
+}
+
+/**
+ * Apply a row's repeater to its rendered children
+ * @param {string} content - Rendered children (HTML, text or MJML)
+ * @param {Object} data - Row data (raw)
+ * @param {Object} settings - mergeTagDialect, loopItemNames (item names of enclosing loops)
+ *   and, for 'preview', previewAudience
+ * @param {Object} options - escapeValue(value) for previewed item values,
+ *   wrapTemplateTags(tags) for the emitted loop tags (e.g. <mj-raw>)
+ * @returns {string} - Loop-wrapped (or, in preview, repeated) children
+ */
+export function applyRepeater(content, data, settings = {}, options = {}) {
+    const repeater = getRepeater(data);
+    if (!repeater || !content) return content;
+
+    const { escapeValue = (value) => value, wrapTemplateTags = (tags) => tags } = options;
+    const dialect = settings.mergeTagDialect || 'handlebars';
+
+    if (dialect === 'preview') {
+        // Without an audience (or collection) the children are shown once, tags as typed
+        const items = resolvePath(settings.previewAudience, repeater.collection);
+        if (!Array.isArray(items)) return content;
+
+        return items.map(item => content.replace(itemTagPattern(repeater.itemName), (match, path) => {
+            const value = path ? resolvePath(item, path) : item;
+            return value === undefined || value === null || typeof value === 'object' ? '' : escapeValue(String(value));
+        })).join('');
+    }
+
+    const loop = LOOP_DIALECTS[dialect] || LOOP_DIALECTS.handlebars;
+    const open = loop.open(repeater);
+    const close = loop.close(repeater);
+    const itemNames = [...(settings.loopItemNames || []), repeater.itemName];
+    const body = loop.body ? loop.body(content, repeater, itemNames) : content;
+
+    return (open ? wrapTemplateTags(open) : '') + body + (close ? wrapTemplateTags(close) : '');
+}
+
+/**
+ * Check if a merge tag refers to a loop item (e.g. item.name inside a row repeating as "item")
+ * @param {string} name - Merge tag name
+ * @param {Array<string>} itemNames - Item names of the enclosing repeaters
+ * @returns {boolean}
+ */
+export function isLoopItemTag(name, itemNames = []) {
+    return itemNames.some(itemName => name === itemName || name.startsWith(`${itemName}.`));
+}
@@ -0,0 +1,193 @@
+/**
+ * ========================================
+ * Merge Tags (Personalization Variables)
+ * ========================================
+ *
+ * Templates use one neutral syntax while editing: {{first_name}}
+ * Variables are declared per template with a fallback value, and the
+ * exporter rewrites every tag to the syntax of the chosen ESP:
+ *
+ * - handlebars: {{#if first_name}}{{first_name}}{{else}}there{{/if}}
+ * - liquid:     {{ first_name | default: 'there' }}
+ * - mailchimp:  *|IF:FNAME|**|FNAME|**|ELSE:|*there*|END:IF|*
+ * - sendgrid:   {{insert first_name 'default=there'}}
+ * - klaviyo:    {{ first_name|default:'there' }}
+ * - campaignmonitor: [first_name,fallback=there]
+ * - preview:    the fallback value itself (used by the preview window)
+ *
+ * Output never contains double quotes, so tags are safe inside attributes.
+ */
+
+/**
+ * Matches {{name}} / {{ name }} (dot paths allowed, e.g. {{user.city}})
+ */
+export const MERGE_TAG_PATTERN = /\{\{\s*([a-zA-Z_][\w.]*)\s*\}\}/g;
+
+/**
+ * Same, with the optional @root. prefix used inside Handlebars loops (loops.js)
+ */
+const ROOT_MERGE_TAG_PATTERN = /\{\{\s*(@root\.)?([a-zA-Z_][\w.]*)\s*\}\}/g;
+
+/**
+ * Valid variable name
+ */
+const VARIABLE_NAME_PATTERN = /^[a-zA-Z_][\w.]*$/;
+
+/**
+ * Mailchimp merge field for a variable (uppercase, max 10 chars)
+ * @param {Object} variable - Variable { name, mailchimpTag }
+ * @returns {string} - Merge field name, e.g. FNAME
+ */
+export function getMailchimpTag(variable) {
+    return (variable.mailchimpTag || variable.name)
+        .toUpperCase()
+        .replace(/[^A-Z0-9_]/g, '_')
+        .slice(0, 10);
+}
+
+/**
+ * Quote a fallback for use in a single-quoted template string
+ * Liquid, SendGrid and Klaviyo strings have no escapes, so apostrophes
+ * become typographic ones (’)
+ */
+function quoteFallback(fallback) {
+    return String(fallback).replace(/'/g, '\u2019');
+}
+
+/**
+ * Output dialects
+ * format(variable, fallback) - fallback is already escaped for the output format
+ */
+export const MERGE_TAG_DIALECTS = {
+    handlebars: {
+        label: 'Handlebars',
+        format: (variable, fallback) => fallback
+            ? `{{#if ${variable.name}}}{{${variable.name}}}{{else}}${fallback}{{/if}}`
+            : `{{${variable.name}}}`
+    },
+    liquid: {
+        label: 'Liquid',
+        format: (variable, fallback) => fallback
+            ? `{{ ${variable.name} | default: '${quoteFallback(fallback)}' }}`
+            : `{{ ${variable.name} }}`
+    },
+    mailchimp: {
+        label: 'Mailchimp',
+        format: (variable, fallback) => {
+            const tag = getMailchimpTag(variable);
+            return fallback
+                ? `*|IF:${tag}|**|${tag}|**|ELSE:|*${fallback}*|END:IF|*`
+                : `*|${tag}|*`;
+        }
+    },
+    sendgrid: {
+        label: 'SendGrid',
+        format: (variable, fallback) => fallback
+            ? `{{insert ${variable.name} 'default=${quoteFallback(fallback)}'}}`
+            : `{{${variable.name}}}`
+    },
+    klaviyo: {
+        label: 'Klaviyo',
+        // Django-style filters: no spaces around | and :
+        format: (variable, fallback) => fallback
+            ? `{{ ${variable.name}|default:'${quoteFallback(fallback)}' }}`
+            : `{{ ${variable.name} }}`
+    },
+    campaignmonitor: {
+        label: 'Campaign Monitor',
+        format: (variable, fallback) => `[${variable.name},fallback=${String(fallback).replace(/[[\]]/g, '')}]`
+    },
+    preview: {
+        label: 'Preview (fallback values)',
+        format: (variable, fallback) => fallback
+    }
+};
+
+/**
+ * Find the variable names used in a string
+ * @param {string} text - Text, HTML or URL
+ * @returns {Array<string>} - Unique variable names in order of appearance
+ */
+export function findMergeTags(text) {
+    const names = [];
+    String(text || '').replace(MERGE_TAG_PATTERN, (match, name) => {
+        if (!names.includes(name)) names.push(name);
+        return match;
+    });
+    return names;
+}
+
+/**
+ * Find merge tags in block data that aren't declared
+ * @param {Object} data - Block data (nested objects/arrays are searched)
+ * @param {Array} variables - Declared variables [{ name, fallback }]
+ * @returns {Array<string>} - Undeclared variable names
+ */
+export function findUndeclaredMergeTags(data, variables) {
+    const declared = variables.map(variable => variable.name);
+    const undeclared = [];
+
+    const visit = (value) => {
+        if (typeof value === 'string') {
+            findMergeTags(value).forEach(name => {
+                if (!declared.includes(name) && !undeclared.includes(name)) {
+                    undeclared.push(name);
+                }
+            });
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(visit);
+        }
+    };
+    visit(data);
+
+    return undeclared;
+}
+
+/**
+ * Rewrite {{tags}} to an output dialect
+ * Undeclared tags are left as-is (validation reports them)
+ * @param {string} content - Rendered output
+ * @param {Array} variables - Declared variables [{ name, fallback, mailchimpTag }]
+ * @param {string} dialect - Key of MERGE_TAG_DIALECTS
+ * @param {Function} escapeFallback - Escapes fallback text for the output format
+ * @returns {string} - Content with rewritten tags
+ */
+export function rewriteMergeTags(content, variables, dialect, escapeFallback = (value) => value) {
+    const format = (MERGE_TAG_DIALECTS[dialect] || MERGE_TAG_DIALECTS.handlebars).format;
+
+    return String(content).replace(ROOT_MERGE_TAG_PATTERN, (match, root = '', name) => {
+        const variable = variables.find(v => v.name === name);
+        if (!variable) return match;
+        return format({ ...variable, name: root + variable.name }, escapeFallback(variable.fallback || ''));
+    });
+}
+
+/**
+ * Parse the variables editor text ("name | fallback | MAILCHIMPTAG" per line)
+ * @param {string} text - Editor text
+ * @returns {Array} - Variables [{ name, fallback, mailchimpTag }]
+ */
+export function parseVariables(text) {
+    const variables = [];
+
+    String(text || '').split('\n').forEach(line => {
+        const [name = '', fallback = '', mailchimpTag = ''] = line.split('|').map(part => part.trim());
+        if (!VARIABLE_NAME_PATTERN.test(name) || variables.some(v => v.name === name)) return;
+        variables.push({ name, fallback, ...(mailchimpTag ? { mailchimpTag } : {}) });
+    });
+
+    return variables;
+}
+
+/**
+ * Format variables for the variables editor
+ * @param {Array} variables - Variables [{ name, fallback, mailchimpTag }]
+ * @returns {string} - Editor text
+ */
+export function formatVariables(variables) {
+    return variables
+        .map(variable => [variable.name, variable.fallback || '', variable.mailchimpTag || '']
+            .join(' | ')
+            .replace(/(\s\|\s)+$/, ''))
+        .join('\n');
+}
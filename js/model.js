@@ -16,8 +16,53 @@
  *   },
  *   { ... }
  * ]
+ * 
+ * Template-level metadata (subject, preheader, sender, lang), layout
+ * settings (widths, colors, font stack, breakpoint), personalization
+ * variables, sample audience data (for the preview), campaign tracking
+ * settings and registered web fonts are stored alongside the blocks and
+ * exported with them.
  */
 
+import { sanitizeLang } from './sanitize.js';
+
+/**
+ * Default template metadata (email envelope)
+ */
+const DEFAULT_METADATA = {
+    subject: '',
+    preheader: '',
+    fromName: '',
+    fromEmail: '',
+    replyTo: '',
+    lang: 'en'
+};
+
+/**
+ * Default template settings (document layout shared by canvas, preview and export)
+ */
+const DEFAULT_SETTINGS = {
+    backgroundColor: '#ffffff',
+    containerBackgroundColor: '#ffffff',
+    contentWidth: '600px',
+    outerPadding: '20px',
+    fontFamily: 'Arial, sans-serif',
+    mobileBreakpoint: '600px',
+    mergeTagDialect: 'handlebars'
+};
+
+/**
+ * Default campaign tracking settings (applied to links by the exporter only)
+ */
+const DEFAULT_TRACKING = {
+    utmSource: '',
+    utmMedium: '',
+    utmCampaign: '',
+    utmContent: '',
+    linkWrapPrefix: '', // e.g. https://click.example.com/r?url= (the link is appended URL-encoded)
+    openPixelUrl: ''
+};
+
 class EmailModel {
     constructor() {
         // Current template blocks (top-level only)
@@ -33,11 +78,35 @@ class EmailModel {
         // Currently selected block ID
         this.selectedBlockId = null;
         
+        // Template-level metadata (subject, preheader, sender, lang)
+        this.metadata = { ...DEFAULT_METADATA };
+        
+        // Template-level layout settings (width, colors, font stack, breakpoint)
+        this.settings = { ...DEFAULT_SETTINGS };
+        
+        // Declared merge tag variables [{ name, fallback, mailchimpTag }]
+        this.variables = [];
+        
+        // Sample audiences for the preview { "Audience name": { plan: 'pro', ... } }
+        this.sampleData = {};
+        
+        // Campaign tracking (UTM parameters, link wrapping, open pixel)
+        this.tracking = { ...DEFAULT_TRACKING };
+        
+        // Registered web fonts [{ name, url, files: [{ data, format, weight, style, filename }], fallback }]
+        this.fonts = [];
+        
         // Listeners for state changes
         this.listeners = {
             blocksChanged: [],
             selectionChanged: [],
-            undoStateChanged: []
+            undoStateChanged: [],
+            metadataChanged: [],
+            settingsChanged: [],
+            variablesChanged: [],
+            sampleDataChanged: [],
+            trackingChanged: [],
+            fontsChanged: []
         };
     }
 
@@ -85,6 +154,33 @@ class EmailModel {
         return id;
     }
 
+    /**
+     * Add several top-level blocks as one undoable change (e.g. an imported email)
+     * @param {Array} blocks - Block objects with type and data
+     * @param {boolean} replace - Remove the current blocks first
+     * @returns {Array<string>} - IDs of the created blocks
+     */
+    addBlocks(blocks, replace = false) {
+        this.saveState();
+        if (replace) {
+            this.blocks = [];
+            this.selectedBlockId = null;
+        }
+        if (!this.allBlocksMap) this.allBlocksMap = {};
+        
+        const ids = blocks.map(block => {
+            const id = `block-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            const newBlock = { id, type: block.type, data: { ...block.data }, parentId: null };
+            this.allBlocksMap[id] = newBlock;
+            this.blocks.push(newBlock);
+            return id;
+        });
+        
+        this.notifyListeners('blocksChanged');
+        if (replace) this.notifyListeners('selectionChanged');
+        return ids;
+    }
+
     /**
      * Insert block at specific index
      * @param {Object} block - Block to insert
@@ -176,6 +272,23 @@ class EmailModel {
         this.notifyListeners('blocksChanged');
     }
 
+    /**
+     * Update several blocks as one undoable change (e.g. bulk link edits)
+     * @param {Object} updatesById - { blockId: updates }
+     */
+    updateBlocks(updatesById) {
+        const blockIds = Object.keys(updatesById).filter(blockId => this.getBlockById(blockId));
+        if (blockIds.length === 0) return;
+        
+        this.saveState();
+        blockIds.forEach(blockId => {
+            const block = this.getBlockById(blockId);
+            block.data = { ...block.data, ...updatesById[blockId] };
+        });
+        
+        this.notifyListeners('blocksChanged');
+    }
+
     /**
      * Get a block by ID (top-level only, for backward compatibility)
      * @param {string} blockId - Block ID
@@ -475,7 +588,7 @@ class EmailModel {
      * Save current state for undo/redo
      */
     saveState() {
-        const state = JSON.stringify(this.blocks);
+        const state = this.getStateSnapshot();
         this.undoStack.push(state);
         
         // Limit undo stack size (keep last 50 states)
@@ -489,6 +602,28 @@ class EmailModel {
         this.notifyListeners('undoStateChanged');
     }
 
+    /**
+     * Serialize all blocks (including nested ones) for the undo/redo stacks
+     * @returns {string} - Snapshot
+     */
+    getStateSnapshot() {
+        return JSON.stringify(this.getAllBlocksFlat());
+    }
+
+    /**
+     * Restore blocks from an undo/redo snapshot
+     * Top-level blocks and the blocks map share the same objects again
+     * @param {string} state - Snapshot from getStateSnapshot()
+     */
+    restoreStateSnapshot(state) {
+        const allBlocks = JSON.parse(state);
+        this.blocks = allBlocks.filter(block => !block.parentId);
+        this.allBlocksMap = {};
+        allBlocks.forEach(block => {
+            this.allBlocksMap[block.id] = block;
+        });
+    }
+
     /**
      * Undo last action
      * @returns {boolean} - Success
@@ -497,11 +632,10 @@ class EmailModel {
         if (this.undoStack.length === 0) return false;
         
         // Save current state to redo stack
-        this.redoStack.push(JSON.stringify(this.blocks));
+        this.redoStack.push(this.getStateSnapshot());
         
         // Restore previous state
-        const previousState = this.undoStack.pop();
-        this.blocks = JSON.parse(previousState);
+        this.restoreStateSnapshot(this.undoStack.pop());
         
         // Clear selection
         this.selectedBlockId = null;
@@ -521,11 +655,10 @@ class EmailModel {
         if (this.redoStack.length === 0) return false;
         
         // Save current state to undo stack
-        this.undoStack.push(JSON.stringify(this.blocks));
+        this.undoStack.push(this.getStateSnapshot());
         
         // Restore next state
-        const nextState = this.redoStack.pop();
-        this.blocks = JSON.parse(nextState);
+        this.restoreStateSnapshot(this.redoStack.pop());
         
         this.notifyListeners('blocksChanged');
         this.notifyListeners('undoStateChanged');
@@ -549,6 +682,109 @@ class EmailModel {
         return this.redoStack.length > 0;
     }
 
+    /**
+     * Get template metadata
+     * @returns {Object} - Copy of the metadata object
+     */
+    getMetadata() {
+        return { ...this.metadata };
+    }
+
+    /**
+     * Update template metadata
+     * @param {Object} updates - Metadata properties to update
+     */
+    updateMetadata(updates) {
+        this.metadata = { ...this.metadata, ...updates };
+        this.metadata.lang = sanitizeLang(this.metadata.lang);
+        this.notifyListeners('metadataChanged');
+    }
+
+    /**
+     * Get template settings
+     * @returns {Object} - Copy of the settings object
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Update template settings
+     * @param {Object} updates - Settings properties to update
+     */
+    updateSettings(updates) {
+        this.settings = { ...this.settings, ...updates };
+        this.notifyListeners('settingsChanged');
+    }
+
+    /**
+     * Get declared merge tag variables
+     * @returns {Array} - Copy of the variables list
+     */
+    getVariables() {
+        return this.variables.map(variable => ({ ...variable }));
+    }
+
+    /**
+     * Replace the declared merge tag variables
+     * @param {Array} variables - Variables [{ name, fallback, mailchimpTag }]
+     */
+    setVariables(variables) {
+        this.variables = variables.map(variable => ({ ...variable }));
+        this.notifyListeners('variablesChanged');
+    }
+
+    /**
+     * Get sample audience data
+     * @returns {Object} - Deep copy of { audienceName: values }
+     */
+    getSampleData() {
+        return JSON.parse(JSON.stringify(this.sampleData));
+    }
+
+    /**
+     * Replace sample audience data
+     * @param {Object} sampleData - { audienceName: values }
+     */
+    setSampleData(sampleData) {
+        this.sampleData = JSON.parse(JSON.stringify(sampleData || {}));
+        this.notifyListeners('sampleDataChanged');
+    }
+
+    /**
+     * Get campaign tracking settings
+     * @returns {Object} - Copy of the tracking settings
+     */
+    getTracking() {
+        return { ...this.tracking };
+    }
+
+    /**
+     * Update campaign tracking settings
+     * @param {Object} updates - Tracking properties to update
+     */
+    updateTracking(updates) {
+        this.tracking = { ...this.tracking, ...updates };
+        this.notifyListeners('trackingChanged');
+    }
+
+    /**
+     * Get registered web fonts
+     * @returns {Array} - Deep copy of the fonts list
+     */
+    getFonts() {
+        return JSON.parse(JSON.stringify(this.fonts));
+    }
+
+    /**
+     * Replace the registered web fonts
+     * @param {Array} fonts - Fonts [{ name, url, files, fallback }]
+     */
+    setFonts(fonts) {
+        this.fonts = JSON.parse(JSON.stringify(fonts || []));
+        this.notifyListeners('fontsChanged');
+    }
+
     /**
      * Export model to JSON
      * @returns {Object} - JSON representation
@@ -556,7 +792,13 @@ class EmailModel {
     toJSON() {
         return {
             blocks: this.getAllBlocksFlat(),
-            version: '1.1' // Updated version to support nested blocks
+            metadata: this.getMetadata(),
+            settings: this.getSettings(),
+            variables: this.getVariables(),
+            sampleData: this.getSampleData(),
+            tracking: this.getTracking(),
+            fonts: this.getFonts(),
+            version: '1.7' // 1.1 nested blocks, 1.2 metadata, 1.3 settings, 1.4 variables, 1.5 sample data, 1.6 tracking, 1.7 fonts
         };
     }
 
@@ -577,10 +819,27 @@ class EmailModel {
             this.allBlocksMap[block.id] = block;
         });
         
+        // Older templates (version < 1.2) have no metadata
+        this.metadata = { ...DEFAULT_METADATA, ...(json.metadata || {}) };
+        this.metadata.lang = sanitizeLang(this.metadata.lang);
+        
+        // Older templates (version < 1.3) use the default layout
+        this.settings = { ...DEFAULT_SETTINGS, ...(json.settings || {}) };
+        this.variables = (json.variables || []).map(variable => ({ ...variable }));
+        this.sampleData = JSON.parse(JSON.stringify(json.sampleData || {}));
+        this.tracking = { ...DEFAULT_TRACKING, ...(json.tracking || {}) };
+        this.fonts = JSON.parse(JSON.stringify(json.fonts || []));
+        
         this.selectedBlockId = null;
         
         this.notifyListeners('blocksChanged');
         this.notifyListeners('selectionChanged');
+        this.notifyListeners('metadataChanged');
+        this.notifyListeners('settingsChanged');
+        this.notifyListeners('variablesChanged');
+        this.notifyListeners('sampleDataChanged');
+        this.notifyListeners('trackingChanged');
+        this.notifyListeners('fontsChanged');
     }
 
     /**
@@ -13,7 +13,23 @@
  */
 
 import { emailModel } from './model.js';
-import { getComponent } from './components.js';
+import { getComponent, getColumnCount } from './components.js';
+import { MERGE_TAG_DIALECTS, parseVariables, formatVariables } from './mergeTags.js';
+import { RULE_OPERATORS, getInvalidRuleValues } from './conditions.js';
+import { getFontOptions, parseFonts, formatFonts, readFontFile, DEFAULT_FALLBACK } from './fonts.js';
+import { LANG_PATTERN } from './sanitize.js';
+
+/**
+ * Web-safe font stacks offered for text and the template default
+ * (registered web fonts are added to every font picker)
+ */
+const FONT_STACKS = [
+    'Arial, sans-serif',
+    'Helvetica, sans-serif',
+    'Georgia, serif',
+    'Times New Roman, serif',
+    'Courier New, monospace'
+];
 
 class PropertiesManager {
     constructor() {
@@ -41,6 +57,9 @@ class PropertiesManager {
                 this.showEmptyState();
             }
         });
+        
+        // Font pickers list the registered web fonts
+        emailModel.on('fontsChanged', () => this.updatePanel());
     }
 
     /**
@@ -71,16 +90,415 @@ class PropertiesManager {
 
     /**
      * Show empty state (no block selected)
+     * Template-level email details and layout settings are edited here
      */
     showEmptyState() {
         this.currentBlockId = null;
-        this.subtitle.textContent = 'Select a block to edit';
-        this.panel.innerHTML = `
-            <div class="properties-empty">
-                <p>No block selected</p>
+        this.subtitle.textContent = 'Email details';
+        
+        const form = document.createElement('div');
+        form.className = 'properties-form';
+        form.innerHTML = `
+            <div class="properties-empty properties-empty-compact">
                 <p class="hint">Click on a block in the canvas to edit its properties</p>
             </div>
         `;
+        
+        [
+            ...this.getTemplateFields(emailModel.getMetadata()),
+            ...this.getSettingsFields(emailModel.getSettings()),
+            ...this.getFontFields(emailModel.getFonts()),
+            ...this.getPersonalizationFields(emailModel.getVariables(), emailModel.getSettings()),
+            ...this.getTrackingFields(emailModel.getTracking())
+        ].forEach(fieldGroup => {
+            const group = this.createFieldGroup(fieldGroup.label, fieldGroup.fields);
+            form.appendChild(group);
+        });
+        
+        this.panel.innerHTML = '';
+        this.panel.appendChild(form);
+    }
+
+    /**
+     * Get field definitions for template metadata (subject, sender, etc.)
+     */
+    getTemplateFields(metadata) {
+        return [
+            {
+                label: 'Email Details',
+                fields: [
+                    {
+                        type: 'text',
+                        key: 'subject',
+                        label: 'Subject',
+                        value: metadata.subject || '',
+                        placeholder: 'Email subject line',
+                        scope: 'template'
+                    },
+                    {
+                        type: 'textarea',
+                        key: 'preheader',
+                        label: 'Preheader (inbox preview text)',
+                        value: metadata.preheader || '',
+                        placeholder: 'Shown after the subject in most inboxes',
+                        scope: 'template'
+                    },
+                    {
+                        type: 'text',
+                        key: 'fromName',
+                        label: 'From Name',
+                        value: metadata.fromName || '',
+                        scope: 'template'
+                    },
+                    {
+                        type: 'text',
+                        key: 'fromEmail',
+                        label: 'From Address',
+                        value: metadata.fromEmail || '',
+                        placeholder: 'news@example.com',
+                        scope: 'template'
+                    },
+                    {
+                        type: 'text',
+                        key: 'replyTo',
+                        label: 'Reply-To Address',
+                        value: metadata.replyTo || '',
+                        placeholder: 'name@example.com',
+                        scope: 'template'
+                    },
+                    {
+                        type: 'text',
+                        key: 'lang',
+                        label: 'Language (e.g., en, de, fr-CA)',
+                        value: metadata.lang || 'en',
+                        scope: 'template'
+                    }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Get field definitions for template layout settings (width, colors, etc.)
+     */
+    getSettingsFields(settings) {
+        return [
+            {
+                label: 'Layout & Style',
+                fields: [
+                    {
+                        type: 'color',
+                        key: 'backgroundColor',
+                        label: 'Backdrop Color (behind the email)',
+                        value: settings.backgroundColor || '#ffffff',
+                        scope: 'settings'
+                    },
+                    {
+                        type: 'color',
+                        key: 'containerBackgroundColor',
+                        label: 'Container Background Color',
+                        value: settings.containerBackgroundColor || '#ffffff',
+                        scope: 'settings'
+                    },
+                    {
+                        type: 'text',
+                        key: 'contentWidth',
+                        label: 'Content Width (e.g., 600px)',
+                        value: settings.contentWidth || '600px',
+                        scope: 'settings'
+                    },
+                    {
+                        type: 'text',
+                        key: 'outerPadding',
+                        label: 'Outer Padding (above and below, e.g., 20px)',
+                        value: settings.outerPadding || '20px',
+                        scope: 'settings'
+                    },
+                    {
+                        type: 'select',
+                        key: 'fontFamily',
+                        label: 'Default Font Stack',
+                        value: settings.fontFamily || 'Arial, sans-serif',
+                        options: this.getFontStackOptions(),
+                        scope: 'settings'
+                    },
+                    {
+                        type: 'text',
+                        key: 'mobileBreakpoint',
+                        label: 'Mobile Breakpoint (e.g., 600px)',
+                        value: settings.mobileBreakpoint || '600px',
+                        scope: 'settings'
+                    }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Get font picker options: web-safe stacks and the registered web fonts
+     */
+    getFontStackOptions() {
+        return [...FONT_STACKS, ...getFontOptions(emailModel.getFonts())];
+    }
+
+    /**
+     * Get field definitions for registered web fonts
+     */
+    getFontFields(fonts) {
+        return [
+            {
+                label: 'Web Fonts',
+                fields: [
+                    {
+                        type: 'textarea',
+                        key: 'fonts',
+                        label: 'Fonts (one per line: name | CSS URL | fallback stack)',
+                        value: formatFonts(fonts),
+                        placeholder: `Open Sans | https://fonts.googleapis.com/css2?family=Open+Sans | ${DEFAULT_FALLBACK}`,
+                        scope: 'fonts'
+                    },
+                    {
+                        type: 'file',
+                        key: 'fontFile',
+                        label: 'Upload Font File (.woff2, .woff, .ttf, .otf)',
+                        accept: '.woff2,.woff,.ttf,.otf',
+                        scope: 'fonts'
+                    }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Register an uploaded font file
+     * Files uploaded under the same name become extra weights/styles of that font
+     * @param {File} file - Font file
+     */
+    uploadFontFile(file) {
+        readFontFile(file).then(fontFile => {
+            const fonts = emailModel.getFonts();
+            const suggestedName = file.name.replace(/\.[^.]+$/, '').replace(/[-_](thin|extra-?light|light|regular|medium|semi-?bold|bold|extra-?bold|black|heavy|italic)+$/i, '').replace(/[-_]+/g, ' ');
+            const name = prompt('Font family name:', suggestedName);
+            if (!name || !name.trim()) return;
+            
+            const existing = fonts.find(font => font.name.toLowerCase() === name.trim().toLowerCase());
+            if (existing) {
+                existing.files = [...(existing.files || []), fontFile];
+            } else {
+                const fallback = prompt('Fallback fonts (used by Outlook, Gmail and clients without web fonts):', DEFAULT_FALLBACK);
+                if (fallback === null) return;
+                fonts.push({ name: name.trim(), url: '', files: [fontFile], fallback: fallback.trim() || DEFAULT_FALLBACK });
+            }
+            emailModel.setFonts(fonts);
+        }).catch(error => {
+            alert(`Could not read the font file: ${error.message}`);
+        });
+    }
+
+    /**
+     * Get field definitions for merge tag variables and the export dialect
+     */
+    getPersonalizationFields(variables, settings) {
+        return [
+            {
+                label: 'Personalization',
+                fields: [
+                    {
+                        type: 'textarea',
+                        key: 'variables',
+                        label: 'Variables (one per line: name | fallback | Mailchimp tag)',
+                        value: formatVariables(variables),
+                        placeholder: 'first_name | there | FNAME',
+                        scope: 'variables'
+                    },
+                    {
+                        type: 'select',
+                        key: 'mergeTagDialect',
+                        label: 'Merge Tag Syntax on Export',
+                        value: settings.mergeTagDialect || 'handlebars',
+                        options: Object.entries(MERGE_TAG_DIALECTS)
+                            .filter(([value]) => value !== 'preview')
+                            .map(([value, dialect]) => ({ value, label: dialect.label })),
+                        scope: 'settings'
+                    },
+                    {
+                        type: 'textarea',
+                        key: 'sampleData',
+                        label: 'Sample Audiences for Preview (JSON)',
+                        value: Object.keys(emailModel.getSampleData()).length > 0
+                            ? JSON.stringify(emailModel.getSampleData(), null, 2)
+                            : '',
+                        placeholder: '{ "Pro customer in DE": { "first_name": "Anna", "plan": "pro", "country": "DE", "order": { "items": [{ "name": "Mug", "price": "12.00" }] } } }',
+                        scope: 'sampleData'
+                    }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Get field definitions for campaign tracking (applied to links on export only)
+     */
+    getTrackingFields(tracking) {
+        return [
+            {
+                label: 'Campaign Tracking',
+                fields: [
+                    {
+                        type: 'text',
+                        key: 'utmSource',
+                        label: 'UTM Source',
+                        value: tracking.utmSource || '',
+                        placeholder: 'newsletter',
+                        scope: 'tracking'
+                    },
+                    {
+                        type: 'text',
+                        key: 'utmMedium',
+                        label: 'UTM Medium',
+                        value: tracking.utmMedium || '',
+                        placeholder: 'email',
+                        scope: 'tracking'
+                    },
+                    {
+                        type: 'text',
+                        key: 'utmCampaign',
+                        label: 'UTM Campaign',
+                        value: tracking.utmCampaign || '',
+                        placeholder: 'spring_sale',
+                        scope: 'tracking'
+                    },
+                    {
+                        type: 'text',
+                        key: 'utmContent',
+                        label: 'UTM Content',
+                        value: tracking.utmContent || '',
+                        placeholder: 'Blocks can override this',
+                        scope: 'tracking'
+                    },
+                    {
+                        type: 'text',
+                        key: 'linkWrapPrefix',
+                        label: 'Click Redirect Prefix (link is appended URL-encoded)',
+                        value: tracking.linkWrapPrefix || '',
+                        placeholder: 'https://click.example.com/r?url=',
+                        scope: 'tracking'
+                    },
+                    {
+                        type: 'text',
+                        key: 'openPixelUrl',
+                        label: 'Open Tracking Pixel URL',
+                        value: tracking.openPixelUrl || '',
+                        placeholder: 'https://track.example.com/open.gif?id={{subscriber_id}}',
+                        scope: 'tracking'
+                    }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Get per-block UTM overrides (empty = template value; rows pass them on to their children)
+     */
+    getBlockTrackingFields(currentData) {
+        const tracking = emailModel.getTracking();
+        return Object.entries({
+            utmSource: 'UTM Source',
+            utmMedium: 'UTM Medium',
+            utmCampaign: 'UTM Campaign',
+            utmContent: 'UTM Content'
+        }).map(([key, label]) => ({
+            type: 'text',
+            key,
+            label,
+            value: currentData[key] || '',
+            placeholder: tracking[key] || 'Template default'
+        }));
+    }
+
+    /**
+     * Check if a block type can contain links (URL fields or rich text), or is a row
+     */
+    hasLinks(type) {
+        const component = getComponent(type);
+        if (!component) return false;
+        if (type === 'row' || (component.richTextFields && component.richTextFields.length > 0)) return true;
+        
+        const hasURLKey = (value) => Object.entries(value || {}).some(([key, item]) => {
+            return /^(url|href)$|(Url|Href)$/.test(key) || (item && typeof item === 'object' && hasURLKey(item));
+        });
+        return hasURLKey(component.defaultData);
+    }
+
+    /**
+     * Get the visibility rule fields (conditional content) for any block
+     * The rule is stored in block data; blocks without a variable are always shown
+     */
+    getVisibilityFields(currentData) {
+        const variableNames = emailModel.getVariables().map(variable => variable.name);
+        if (currentData.visibilityVariable && !variableNames.includes(currentData.visibilityVariable)) {
+            variableNames.push(currentData.visibilityVariable);
+        }
+        
+        return [
+            {
+                type: 'select',
+                key: 'visibilityVariable',
+                label: 'Show this block when variable',
+                value: currentData.visibilityVariable || '',
+                options: [
+                    { value: '', label: 'Always show (no rule)' },
+                    ...variableNames
+                ]
+            },
+            {
+                type: 'select',
+                key: 'visibilityOperator',
+                label: 'Condition',
+                value: currentData.visibilityOperator || 'equals',
+                options: Object.entries(RULE_OPERATORS).map(([value, operator]) => ({ value, label: operator.label }))
+            },
+            {
+                type: 'text',
+                key: 'visibilityValue',
+                label: 'Value (comma-separated for "is one of")',
+                value: currentData.visibilityValue || '',
+                placeholder: 'pro  or  DE, AT',
+                mergeTags: false
+            }
+        ];
+    }
+
+    /**
+     * Get the repeater fields of a row (loop over a collection variable)
+     * Child blocks use the item name in their merge tags, e.g. {{item.name}}
+     */
+    getRepeatFields(currentData) {
+        const variableNames = emailModel.getVariables().map(variable => variable.name);
+        if (currentData.repeatCollection && !variableNames.includes(currentData.repeatCollection)) {
+            variableNames.push(currentData.repeatCollection);
+        }
+        
+        return [
+            {
+                type: 'select',
+                key: 'repeatCollection',
+                label: 'Repeat children for each item of',
+                value: currentData.repeatCollection || '',
+                options: [
+                    { value: '', label: 'Not repeated' },
+                    ...variableNames
+                ]
+            },
+            {
+                type: 'text',
+                key: 'repeatItemName',
+                label: 'Item name (children use {{item.field}})',
+                value: currentData.repeatItemName || 'item',
+                placeholder: 'item',
+                mergeTags: false
+            }
+        ];
     }
 
     /**
@@ -175,13 +593,10 @@ class PropertiesManager {
                             type: 'select',
                             key: 'fontFamily',
                             label: 'Font Family',
-                            value: currentData.fontFamily || 'Arial, sans-serif',
+                            value: currentData.fontFamily || '',
                             options: [
-                                'Arial, sans-serif',
-                                'Helvetica, sans-serif',
-                                'Georgia, serif',
-                                'Times New Roman, serif',
-                                'Courier New, monospace'
+                                { value: '', label: 'Template default' },
+                                ...this.getFontStackOptions()
                             ]
                         },
                         {
@@ -335,6 +750,12 @@ class PropertiesManager {
                             label: 'Full Width',
                             value: currentData.fullWidth || false
                         },
+                        {
+                            type: 'checkbox',
+                            key: 'bulletproof',
+                            label: 'Bulletproof (Outlook VML)',
+                            value: currentData.bulletproof || false
+                        },
                         ...this.getSpacingFields(currentData),
                         ...this.getLayoutFields(currentData)
                     ]
@@ -363,6 +784,12 @@ class PropertiesManager {
                             label: 'Max Width (px)',
                             value: currentData.maxWidth || '600'
                         },
+                        {
+                            type: 'text',
+                            key: 'imageHeight',
+                            label: 'Height (px, optional - required for AMP)',
+                            value: currentData.imageHeight || ''
+                        },
                         {
                             type: 'select',
                             key: 'align',
@@ -486,6 +913,12 @@ class PropertiesManager {
                                 label: 'Left Image Max Width (px)',
                                 value: currentData.column1MaxWidth || '300'
                             },
+                            {
+                                type: 'text',
+                                key: 'column1Height',
+                                label: 'Left Image Height (px, optional - required for AMP)',
+                                value: currentData.column1Height || ''
+                            },
                             {
                                 type: 'select',
                                 key: 'column1Align',
@@ -541,6 +974,12 @@ class PropertiesManager {
                                 label: 'Right Image Max Width (px)',
                                 value: currentData.column2MaxWidth || '300'
                             },
+                            {
+                                type: 'text',
+                                key: 'column2Height',
+                                label: 'Right Image Height (px, optional - required for AMP)',
+                                value: currentData.column2Height || ''
+                            },
                             {
                                 type: 'select',
                                 key: 'column2Align',
@@ -589,6 +1028,52 @@ class PropertiesManager {
                 });
                 break;
                 
+            case 'columns':
+                fields.push({
+                    label: 'Columns',
+                    fields: [
+                        {
+                            type: 'select',
+                            key: 'columnCount',
+                            label: 'Number of Columns',
+                            value: String(getColumnCount(currentData)),
+                            options: [
+                                { value: '1', label: '1 Column' },
+                                { value: '2', label: '2 Columns' },
+                                { value: '3', label: '3 Columns' },
+                                { value: '4', label: '4 Columns' }
+                            ]
+                        },
+                        {
+                            type: 'checkbox',
+                            key: 'reverseStackOnMobile',
+                            label: 'Reverse stacking order on mobile',
+                            value: currentData.reverseStackOnMobile || false
+                        },
+                        {
+                            type: 'text',
+                            key: 'gap',
+                            label: 'Gap Between Columns',
+                            value: currentData.gap || '20px'
+                        },
+                        {
+                            type: 'color',
+                            key: 'backgroundColor',
+                            label: 'Background Color',
+                            value: currentData.backgroundColor || '#ffffff'
+                        },
+                        ...this.getSpacingFields(currentData),
+                        ...this.getLayoutFields(currentData)
+                    ]
+                });
+                for (let index = 1; index <= getColumnCount(currentData); index++) {
+                    fields.push({
+                        label: `Column ${index}`,
+                        fields: this.getColumnFields(index, currentData)
+                    });
+                }
+                break;
+                
             case 'footer':
                 fields.push({
                     label: 'Footer',
@@ -633,7 +1118,30 @@ class PropertiesManager {
                     ]
                 });
                 break;
-                
+
+            case 'html':
+                fields.push({
+                    label: 'Custom HTML',
+                    fields: [
+                        {
+                            type: 'textarea',
+                            key: 'html',
+                            label: 'HTML',
+                            value: currentData.html || '',
+                            placeholder: 'Enter HTML...'
+                        },
+                        {
+                            type: 'color',
+                            key: 'backgroundColor',
+                            label: 'Background Color',
+                            value: currentData.backgroundColor || '#ffffff'
+                        },
+                        ...this.getSpacingFields(currentData),
+                        ...this.getLayoutFields(currentData)
+                    ]
+                });
+                break;
+
             case 'row':
                 fields.push({
                     label: 'Row',
@@ -654,12 +1162,205 @@ class PropertiesManager {
                         ...this.getLayoutFields(currentData)
                     ]
                 });
+                fields.push({
+                    label: 'Repeat',
+                    fields: this.getRepeatFields(currentData)
+                });
                 break;
         }
         
+        // Optional dark-mode colors for components that declare them
+        const darkModeFields = this.getDarkModeFields(type, currentData);
+        if (darkModeFields.length > 0) {
+            fields.push({
+                label: 'Dark Mode',
+                fields: darkModeFields
+            });
+        }
+        
+        // Hide on mobile/desktop and the component's mobile-only overrides
+        fields.push({
+            label: 'Mobile',
+            fields: this.getMobileFields(type, currentData)
+        });
+        
+        // UTM overrides for blocks with links (template values are in Campaign Tracking)
+        if (this.hasLinks(type)) {
+            fields.push({
+                label: 'Tracking',
+                fields: this.getBlockTrackingFields(currentData)
+            });
+        }
+        
+        // Conditional content (variables are declared in the Personalization panel)
+        fields.push({
+            label: 'Visibility',
+            fields: this.getVisibilityFields(currentData)
+        });
+        
         return fields;
     }
 
+    /**
+     * Get the fields of one column of a columns block
+     * Content fields depend on the column type (HTML or image)
+     */
+    getColumnFields(index, currentData) {
+        const columnType = currentData[`column${index}Type`] || 'html';
+        
+        return [
+            {
+                type: 'select',
+                key: `column${index}Type`,
+                label: 'Column Type',
+                value: columnType,
+                options: [
+                    { value: 'html', label: 'HTML Content' },
+                    { value: 'image', label: 'Image' }
+                ]
+            },
+            ...(columnType === 'html' ? [{
+                type: 'textarea',
+                key: `column${index}Content`,
+                label: 'HTML Content',
+                value: currentData[`column${index}Content`] || ''
+            }] : [
+                {
+                    type: 'text',
+                    key: `column${index}Src`,
+                    label: 'Image URL',
+                    value: currentData[`column${index}Src`] || 'https://via.placeholder.com/300x200'
+                },
+                {
+                    type: 'text',
+                    key: `column${index}Alt`,
+                    label: 'Image Alt Text',
+                    value: currentData[`column${index}Alt`] || ''
+                },
+                {
+                    type: 'text',
+                    key: `column${index}MaxWidth`,
+                    label: 'Image Max Width (px)',
+                    value: currentData[`column${index}MaxWidth`] || '300'
+                },
+                {
+                    type: 'text',
+                    key: `column${index}Height`,
+                    label: 'Image Height (px, optional - required for AMP)',
+                    value: currentData[`column${index}Height`] || ''
+                },
+                {
+                    type: 'select',
+                    key: `column${index}Align`,
+                    label: 'Image Align',
+                    value: currentData[`column${index}Align`] || 'center',
+                    options: [
+                        { value: 'left', label: 'Left' },
+                        { value: 'center', label: 'Center' },
+                        { value: 'right', label: 'Right' }
+                    ]
+                },
+                {
+                    type: 'text',
+                    key: `column${index}BorderRadius`,
+                    label: 'Image Border Radius (px)',
+                    value: currentData[`column${index}BorderRadius`] || '0px'
+                }
+            ]),
+            {
+                type: 'text',
+                key: `column${index}Width`,
+                label: 'Width (%, empty = equal share)',
+                value: currentData[`column${index}Width`] || '',
+                mergeTags: false
+            },
+            {
+                type: 'select',
+                key: `column${index}VerticalAlign`,
+                label: 'Vertical Align',
+                value: currentData[`column${index}VerticalAlign`] || 'top',
+                options: [
+                    { value: 'top', label: 'Top' },
+                    { value: 'middle', label: 'Middle' },
+                    { value: 'bottom', label: 'Bottom' }
+                ]
+            },
+            {
+                type: 'color',
+                key: `column${index}BackgroundColor`,
+                label: 'Background Color (optional)',
+                value: currentData[`column${index}BackgroundColor`] || '',
+                optional: true
+            },
+            {
+                type: 'checkbox',
+                key: `column${index}Stack`,
+                label: 'Stack on mobile (off = stays beside neighbouring columns)',
+                value: currentData[`column${index}Stack`] !== false
+            }
+        ];
+    }
+
+    /**
+     * Get optional dark-mode color fields declared by the component
+     * Empty values mean "no override" (the light color is kept)
+     */
+    getDarkModeFields(type, currentData) {
+        const component = getComponent(type);
+        if (!component || !component.darkColors) return [];
+        
+        return component.darkColors.map(darkColor => ({
+            type: 'color',
+            key: darkColor.key,
+            label: `${darkColor.label} (optional)`,
+            value: currentData[darkColor.key] || '',
+            optional: true
+        }));
+    }
+
+    /**
+     * Get responsive visibility and the mobile overrides declared by the component
+     * Empty overrides keep the desktop value below the mobile breakpoint
+     */
+    getMobileFields(type, currentData) {
+        const component = getComponent(type);
+        const overrides = (component && component.mobileOverrides) || [];
+        
+        return [
+            {
+                type: 'checkbox',
+                key: 'hideOnMobile',
+                label: 'Hide on mobile',
+                value: currentData.hideOnMobile || false
+            },
+            {
+                type: 'checkbox',
+                key: 'hideOnDesktop',
+                label: 'Hide on desktop (never shown in Outlook)',
+                value: currentData.hideOnDesktop || false
+            },
+            ...overrides.map(override => override.options
+                ? {
+                    type: 'select',
+                    key: override.key,
+                    label: override.label,
+                    value: currentData[override.key] || '',
+                    options: [
+                        { value: '', label: 'Same as desktop' },
+                        ...override.options.map(option => ({ value: option, label: option[0].toUpperCase() + option.slice(1) }))
+                    ]
+                }
+                : {
+                    type: 'text',
+                    key: override.key,
+                    label: `${override.label} (optional)`,
+                    value: currentData[override.key] || '',
+                    placeholder: 'Same as desktop',
+                    mergeTags: false
+                })
+        ];
+    }
+
     /**
      * Create a field group
      */
@@ -761,8 +1462,8 @@ class PropertiesManager {
                 // Hex text input
                 const hexInput = document.createElement('input');
                 hexInput.type = 'text';
-                hexInput.value = fieldDef.value || '#000000';
-                hexInput.placeholder = '#000000';
+                hexInput.value = fieldDef.optional ? (fieldDef.value || '') : (fieldDef.value || '#000000');
+                hexInput.placeholder = fieldDef.optional ? 'None' : '#000000';
                 hexInput.style.flex = '1';
                 hexInput.style.fontFamily = 'monospace';
                 hexInput.style.pattern = '#[0-9A-Fa-f]{6}';
@@ -780,8 +1481,15 @@ class PropertiesManager {
                 
                 // Update model handler
                 const updateModel = () => {
-                    if (this.currentBlockId) {
-                        this.handleFieldChange(fieldDef.key, colorInput);
+                    if (this.currentBlockId || fieldDef.scope) {
+                        this.handleFieldChange(fieldDef.key, colorInput, fieldDef.scope);
+                    }
+                };
+                
+                // Optional colors can be cleared by emptying the hex input
+                const clearOptionalColor = () => {
+                    if (fieldDef.value) {
+                        this.applyFieldValue(fieldDef.key, '', fieldDef.scope);
                     }
                 };
                 
@@ -790,6 +1498,10 @@ class PropertiesManager {
                 hexInput.addEventListener('input', (e) => {
                     clearTimeout(hexTimeout);
                     let value = e.target.value;
+                    if (!value && fieldDef.optional) {
+                        hexInput.style.borderColor = '';
+                        return;
+                    }
                     if (value && !value.startsWith('#')) {
                         value = '#' + value;
                         e.target.value = value;
@@ -819,6 +1531,10 @@ class PropertiesManager {
                 // Handle blur - validate and set if valid, or revert
                 hexInput.addEventListener('blur', () => {
                     clearTimeout(hexTimeout);
+                    if (!hexInput.value && fieldDef.optional) {
+                        clearOptionalColor();
+                        return;
+                    }
                     const validHex = validateHex(hexInput.value);
                     if (validHex) {
                         const fullHex = typeof validHex === 'string' ? validHex : hexInput.value;
@@ -865,6 +1581,12 @@ class PropertiesManager {
                 });
                 break;
                 
+            case 'file':
+                input = document.createElement('input');
+                input.type = 'file';
+                if (fieldDef.accept) input.accept = fieldDef.accept;
+                break;
+                
             case 'checkbox':
                 container.className = 'property-field checkbox-field';
                 input = document.createElement('input');
@@ -883,23 +1605,23 @@ class PropertiesManager {
                 // Update on blur (when clicking outside)
                 input.addEventListener('blur', () => {
                     clearTimeout(typingTimeout);
-                    this.handleFieldChange(fieldDef.key, input);
+                    this.handleFieldChange(fieldDef.key, input, fieldDef.scope);
                 });
                 
                 // Auto-save after 2 minutes (120000ms) of no typing
                 input.addEventListener('input', () => {
                     clearTimeout(typingTimeout);
                     typingTimeout = setTimeout(() => {
-                        this.handleFieldChange(fieldDef.key, input);
+                        this.handleFieldChange(fieldDef.key, input, fieldDef.scope);
                     }, 120000); // 2 minutes
                 });
             } else {
                 // For other inputs (select, checkbox, number, range), bind change events
                 input.addEventListener('change', () => {
-                    this.handleFieldChange(fieldDef.key, input);
+                    this.handleFieldChange(fieldDef.key, input, fieldDef.scope);
                     
-                    // If column type changed, refresh the panel to show/hide relevant fields
-                    if (fieldDef.key === 'column1Type' || fieldDef.key === 'column2Type') {
+                    // If column type or count changed, refresh the panel to show/hide relevant fields
+                    if (/^column\dType$/.test(fieldDef.key) || fieldDef.key === 'columnCount') {
                         setTimeout(() => {
                             this.updatePanel();
                         }, 50);
@@ -914,27 +1636,147 @@ class PropertiesManager {
             });
             
             container.appendChild(input);
+            
+            // Text fields (block content and email details) can insert {{variables}}
+            const acceptsMergeTags = (input.type === 'text' || input.tagName === 'TEXTAREA') && fieldDef.mergeTags !== false;
+            if (acceptsMergeTags && (!fieldDef.scope || fieldDef.scope === 'template' || fieldDef.scope === 'tracking')) {
+                const picker = this.createMergeTagPicker(input, fieldDef);
+                if (picker) container.appendChild(picker);
+            }
         }
         
         return container;
     }
 
     /**
-     * Handle field value change
+     * Create an "insert variable" picker for a text field
+     * Inserts {{name}} at the cursor and saves the field
+     * @returns {HTMLElement|null} - Select element (null if no variables are declared)
      */
-    handleFieldChange(key, input) {
-        if (!this.currentBlockId) return;
+    createMergeTagPicker(input, fieldDef) {
+        const variables = emailModel.getVariables();
+        if (variables.length === 0) return null;
         
+        const picker = document.createElement('select');
+        picker.className = 'merge-tag-picker';
+        picker.innerHTML = '<option value="">+ Insert variable...</option>';
+        variables.forEach(variable => {
+            const option = document.createElement('option');
+            option.value = variable.name;
+            option.textContent = variable.fallback
+                ? `${variable.name} (fallback: ${variable.fallback})`
+                : variable.name;
+            picker.appendChild(option);
+        });
+        
+        picker.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+        });
+        picker.addEventListener('change', () => {
+            if (!picker.value) return;
+            
+            const tag = `{{${picker.value}}}`;
+            const start = input.selectionStart !== null ? input.selectionStart : input.value.length;
+            const end = input.selectionEnd !== null ? input.selectionEnd : start;
+            input.value = input.value.slice(0, start) + tag + input.value.slice(end);
+            input.setSelectionRange(start + tag.length, start + tag.length);
+            picker.value = '';
+            
+            this.handleFieldChange(fieldDef.key, input, fieldDef.scope);
+        });
+        
+        return picker;
+    }
+
+    /**
+     * Handle field value change
+     * @param {string} key - Data key
+     * @param {HTMLElement} input - Input element
+     * @param {string} scope - 'block' (default), 'template' for email metadata,
+     *   'settings' for template layout settings, 'variables' for merge tag variables,
+     *   'sampleData' for preview audiences, 'tracking' for campaign tracking or
+     *   'fonts' for registered web fonts
+     */
+    handleFieldChange(key, input, scope = 'block') {
         // Get value based on input type
         let value;
         if (input.type === 'checkbox') {
             value = input.checked;
+        } else if (input.type === 'file') {
+            value = input.files[0] || null;
+            input.value = '';
         } else if (input.type === 'number' || input.type === 'range') {
             value = parseFloat(input.value) || 0;
         } else {
             value = input.value;
         }
         
+        this.applyFieldValue(key, value, scope);
+    }
+
+    /**
+     * Write a field value to the model
+     */
+    applyFieldValue(key, value, scope = 'block') {
+        if (scope === 'template') {
+            // The language ends up in <html lang>, so only language tags are kept
+            if (key === 'lang' && !LANG_PATTERN.test(value.trim())) {
+                alert(`"${value}" is not a language tag (e.g. en, de, fr-CA)`);
+                this.updatePanel();
+                return;
+            }
+            emailModel.updateMetadata({ [key]: value });
+            return;
+        }
+        if (scope === 'settings') {
+            emailModel.updateSettings({ [key]: value });
+            return;
+        }
+        if (scope === 'variables') {
+            emailModel.setVariables(parseVariables(value));
+            return;
+        }
+        if (scope === 'tracking') {
+            emailModel.updateTracking({ [key]: value });
+            return;
+        }
+        if (scope === 'fonts') {
+            if (key === 'fontFile') {
+                if (value) this.uploadFontFile(value);
+            } else {
+                // Only re-render the panel when the fonts actually changed
+                const fonts = parseFonts(value, emailModel.getFonts());
+                if (JSON.stringify(fonts) !== JSON.stringify(emailModel.getFonts())) {
+                    emailModel.setFonts(fonts);
+                }
+            }
+            return;
+        }
+        if (scope === 'sampleData') {
+            try {
+                const sampleData = value.trim() ? JSON.parse(value) : {};
+                if (!sampleData || typeof sampleData !== 'object' || Array.isArray(sampleData)) {
+                    throw new Error('Expected an object of audiences');
+                }
+                emailModel.setSampleData(sampleData);
+            } catch (error) {
+                alert('Sample audiences must be a JSON object, e.g. { "Pro customer": { "plan": "pro" } }');
+            }
+            return;
+        }
+        
+        if (!this.currentBlockId) return;
+        
+        // Rule values are emitted into ESP conditionals, so they're limited to safe characters
+        if (key === 'visibilityValue') {
+            const invalid = getInvalidRuleValues(value);
+            if (invalid.length > 0) {
+                alert(`Invalid value(s): ${invalid.join(', ')}\n\nValues may only use letters, numbers, spaces and _ . @ + - /`);
+                this.updatePanel();
+                return;
+            }
+        }
+        
         // Update model immediately (blur and auto-save after 2 minutes are handled in event listeners)
         emailModel.updateBlock(this.currentBlockId, { [key]: value });
     }
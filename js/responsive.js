@@ -0,0 +1,141 @@
+/**
+ * ========================================
+ * Responsive Visibility & Mobile Overrides
+ * ========================================
+ *
+ * Blocks can be hidden on mobile or on desktop, and can override their
+ * font size, padding and alignment below the template's mobile breakpoint.
+ *
+ * - Hide on mobile: the block is wrapped in a table the mobile media
+ *   query hides
+ * - Hide on desktop: the wrapper is hidden inline (display: none,
+ *   mso-hide: all) and shown again by the media query. Outlook ignores
+ *   display: none on tables, so the wrapper also sits in a non-MSO
+ *   conditional
+ * - Overrides: component templates put a per-block class on their content
+ *   cell (getContentClass) and the exporter emits !important rules for it
+ *   inside the media query (the canvas applies them in its mobile view)
+ *
+ * Components list the overrides they support, like darkColors:
+ *   mobileOverrides: [MOBILE_FONT_SIZE, MOBILE_PADDING, ...]
+ */
+
+import { sanitizeCSSValue } from './sanitize.js';
+
+/**
+ * Wrapper classes for blocks hidden on one kind of screen
+ */
+export const HIDE_ON_MOBILE_CLASS = 'eb-hide-mobile';
+export const SHOW_ON_MOBILE_CLASS = 'eb-show-mobile';
+
+/**
+ * Rules the mobile media query applies to the wrappers
+ */
+export const RESPONSIVE_VISIBILITY_CSS = `.${HIDE_ON_MOBILE_CLASS} {
+                display: none !important;
+                max-height: 0 !important;
+                overflow: hidden !important;
+            }
+            .${SHOW_ON_MOBILE_CLASS} {
+                display: table !important;
+                max-height: none !important;
+                overflow: visible !important;
+            }`;
+
+/**
+ * Mobile font size: the content cell and the text inside it
+ */
+export const MOBILE_FONT_SIZE = {
+    key: 'mobileFontSize',
+    label: 'Mobile Font Size (px)',
+    property: 'font-size',
+    unit: 'px',
+    selector: 'p, span, a, li, h1, h2, h3'
+};
+
+/**
+ * Mobile padding of the content cell
+ */
+export const MOBILE_PADDING = {
+    key: 'mobilePadding',
+    label: 'Mobile Padding (e.g., 10px)',
+    property: 'padding'
+};
+
+/**
+ * Mobile alignment of the content cell
+ */
+export const MOBILE_TEXT_ALIGN = {
+    key: 'mobileTextAlign',
+    label: 'Mobile Alignment',
+    property: 'text-align',
+    options: ['left', 'center', 'right']
+};
+
+/**
+ * Get the class of a block's content cell (target of its mobile overrides)
+ * @param {string} blockClass - Block class from getBlockClass()
+ * @returns {string} - Class name (empty if the data has no blockClass)
+ */
+export function getContentClass(blockClass) {
+    return blockClass ? `${blockClass}-content` : '';
+}
+
+/**
+ * Wrap rendered block HTML for its hide on mobile / hide on desktop setting
+ * @param {string} html - Rendered block HTML
+ * @param {Object} data - Block data (raw)
+ * @returns {string} - Wrapped HTML (unchanged if the block shows everywhere)
+ */
+export function applyResponsiveVisibility(html, data) {
+    let content = html;
+
+    if (data.hideOnMobile) {
+        content = `
+            <table role="presentation" class="${HIDE_ON_MOBILE_CLASS}" width="100%" cellpadding="0" cellspacing="0" border="0">
+                <tr>
+                    <td>${content}</td>
+                </tr>
+            </table>`;
+    }
+
+    if (data.hideOnDesktop) {
+        content = `
+            <!--[if !mso]><!-->
+            <table role="presentation" class="${SHOW_ON_MOBILE_CLASS}" width="100%" cellpadding="0" cellspacing="0" border="0" style="display: none; max-height: 0; overflow: hidden; mso-hide: all;">
+                <tr>
+                    <td>${content}</td>
+                </tr>
+            </table>
+            <!--<![endif]-->`;
+    }
+
+    return content;
+}
+
+/**
+ * Build the CSS rules for a block's mobile overrides
+ * @param {Object} data - Block data (raw)
+ * @param {Array} overrides - The component's mobileOverrides
+ * @param {string} blockClass - Block class from getBlockClass()
+ * @returns {Array<string>} - Rules (without the media query around them)
+ */
+export function getMobileRules(data, overrides, blockClass) {
+    const contentClass = getContentClass(blockClass);
+    const rules = [];
+
+    overrides.forEach(override => {
+        let value = sanitizeCSSValue(data[override.key]).trim();
+        if (!value) return;
+        if (override.options && !override.options.includes(value)) return;
+        if (override.unit && /^\d+(\.\d+)?$/.test(value)) value += override.unit;
+
+        const selectors = [
+            `.${contentClass}`,
+            ...(override.selector ? override.selector.split(',').map(sel => `.${contentClass} ${sel.trim()}`) : [])
+        ];
+        rules.push(`${selectors.join(', ')} { ${override.property}: ${value} !important; }`);
+    });
+
+    return rules;
+}
@@ -0,0 +1,248 @@
+/**
+ * ========================================
+ * Escaping & Sanitizing
+ * ========================================
+ *
+ * Block data comes from the properties panel, pasted content and
+ * imported JSON, so none of it can be trusted inside markup.
+ *
+ * - Plain values (text, alt, colors, sizes) are HTML-escaped so a quote
+ *   can't break out of an attribute
+ * - URLs are checked against a scheme allowlist (javascript: etc. become "#")
+ * - The template language must be a language tag (anything else becomes "en")
+ * - Rich HTML fields are run through an allowlist sanitizer that keeps
+ *   formatting tags and drops scripts, event handlers and unknown tags
+ * - Values written into <style> blocks are stripped of rule/tag delimiters
+ *
+ * Component templates receive data that already went through
+ * sanitizeBlockData(), on the canvas and in every export.
+ */
+
+/**
+ * Tags kept by the rich HTML sanitizer
+ */
+const ALLOWED_TAGS = [
+    'a', 'b', 'strong', 'i', 'em', 'u', 's', 'strike', 'sup', 'sub', 'small',
+    'p', 'br', 'span', 'div', 'font', 'blockquote', 'hr',
+    'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'table', 'thead', 'tbody', 'tr', 'td', 'th', 'img'
+];
+
+/**
+ * Attributes kept by the rich HTML sanitizer (per tag, '*' = any allowed tag)
+ */
+const ALLOWED_ATTRIBUTES = {
+    '*': ['style', 'align', 'dir', 'title', 'class'],
+    a: ['href', 'target', 'rel', 'name'],
+    font: ['color', 'face', 'size'],
+    img: ['src', 'alt', 'width', 'height', 'border'],
+    table: ['width', 'cellpadding', 'cellspacing', 'border', 'bgcolor', 'role'],
+    td: ['width', 'valign', 'bgcolor', 'colspan', 'rowspan'],
+    th: ['width', 'valign', 'bgcolor', 'colspan', 'rowspan']
+};
+
+/**
+ * Attributes that hold URLs
+ */
+const URL_ATTRIBUTES = ['href', 'src'];
+
+/**
+ * Tags that are dropped together with their content
+ */
+const DROP_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'select'];
+
+/**
+ * URL schemes allowed in links and images (relative URLs and anchors are always allowed)
+ */
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel', 'sms', 'cid'];
+
+/**
+ * Data keys that hold URLs in block data
+ */
+const URL_KEY_PATTERN = /^(url|src|href)$|(Url|Src|Href)$/;
+
+/**
+ * BCP 47 language tags (e.g. en, de, fr-CA, zh-Hant-TW)
+ */
+export const LANG_PATTERN = /^[A-Za-z]{1,8}(-[A-Za-z0-9]{1,8})*$/;
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+export function escapeHTML(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&(?!(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check a URL against the scheme allowlist
+ * @param {string} url - URL to check
+ * @returns {boolean} - True if the URL is safe to emit
+ */
+export function isSafeURL(url) {
+    // Browsers ignore whitespace and control characters inside the scheme ("java\tscript:")
+    const normalized = String(url || '').replace(/[\u0000-\u0020\u007f]/g, '').toLowerCase();
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+
+    if (!scheme) return true; // Relative URL, anchor or merge tag
+    if (SAFE_URL_SCHEMES.includes(scheme[1])) return true;
+
+    // Inline images are allowed, other data: payloads are not
+    return /^data:image\/(png|jpe?g|gif|webp);/.test(normalized);
+}
+
+/**
+ * Return the URL if it's safe, otherwise "#"
+ * @param {string} url - URL to sanitize
+ * @returns {string} - Safe URL (not escaped)
+ */
+export function sanitizeURL(url) {
+    const value = String(url || '').trim();
+    return isSafeURL(value) ? value : '#';
+}
+
+/**
+ * Validate a template language tag
+ * @param {string} lang - Language tag
+ * @returns {string} - The tag, or 'en' if it isn't a language tag
+ */
+export function sanitizeLang(lang) {
+    const value = String(lang || '').trim();
+    return LANG_PATTERN.test(value) ? value : 'en';
+}
+
+/**
+ * Sanitize an inline style value
+ * Drops declarations that can run script or load arbitrary resources in old clients
+ */
+function sanitizeStyle(style) {
+    return style
+        .split(';')
+        .filter(rule => !/expression\s*\(|javascript:|vbscript:|behavior\s*:|-moz-binding|@import/i.test(rule))
+        .join(';');
+}
+
+/**
+ * Decode the entities the sanitizer needs to see through in attribute values
+ */
+function decodeAttribute(value) {
+    return value
+        .replace(/&#(\d+);?/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);?/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Sanitize the attributes of an allowed tag
+ * @returns {string} - Attribute string (with leading spaces)
+ */
+function sanitizeAttributes(tag, attrString) {
+    const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tag] || [])];
+    const attrPattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let result = '';
+    let match;
+
+    while ((match = attrPattern.exec(attrString)) !== null) {
+        const name = match[1].toLowerCase();
+        if (!allowed.includes(name)) continue;
+
+        let value = decodeAttribute([match[2], match[3], match[4]].find(v => v !== undefined) || '');
+        if (URL_ATTRIBUTES.includes(name)) {
+            value = sanitizeURL(value);
+        } else if (name === 'style') {
+            value = sanitizeStyle(value);
+        }
+
+        result += ` ${name}="${escapeHTML(value)}"`;
+    }
+
+    return result;
+}
+
+/**
+ * Sanitize rich HTML against the tag/attribute allowlist
+ * Unknown tags are removed but their text is kept; scripts, styles and
+ * embeds are removed with their content; comments are removed.
+ * @param {string} html - Untrusted HTML
+ * @returns {string} - Sanitized HTML
+ */
+export function sanitizeHTML(html) {
+    if (!html) return '';
+
+    let clean = String(html);
+
+    // Comments (including conditional comments) can hide markup from the allowlist
+    clean = clean.replace(/<!--[\s\S]*?(-->|$)/g, '');
+
+    // Drop dangerous elements with their content
+    DROP_CONTENT_TAGS.forEach(tag => {
+        clean = clean.replace(new RegExp(`<${tag}\\b[\\s\\S]*?(<\\/${tag}\\s*>|$)`, 'gi'), '');
+    });
+
+    // Rebuild every tag from the allowlist; stray "<" become text
+    return clean.replace(/<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)([^>]*)>|</g, (match, closing, tagName, attrs) => {
+        if (!tagName) return '&lt;';
+
+        const tag = tagName.toLowerCase();
+        if (!ALLOWED_TAGS.includes(tag)) return '';
+        if (closing) return `</${tag}>`;
+
+        const selfClosing = /\/\s*$/.test(attrs) ? ' /' : '';
+        return `<${tag}${sanitizeAttributes(tag, attrs.replace(/\/\s*$/, ''))}${selfClosing}>`;
+    });
+}
+
+/**
+ * Sanitize a value used inside a <style> block (colors, sizes, font stacks)
+ * Strips characters that could close the rule, the style element or
+ * the style attribute the value ends up in
+ * @param {*} value - CSS value
+ * @returns {string} - Safe CSS value
+ */
+export function sanitizeCSSValue(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/\/\*|\*\//g, '')
+        .replace(/[<>{};"\\]/g, '');
+}
+
+/**
+ * Sanitize a single block data value
+ */
+function sanitizeValue(key, value, richFields) {
+    if (typeof value === 'string') {
+        if (richFields.includes(key)) return sanitizeHTML(value);
+        if (URL_KEY_PATTERN.test(key)) return escapeHTML(sanitizeURL(value));
+        return escapeHTML(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => sanitizeValue(key, item, richFields));
+    }
+    if (value && typeof value === 'object') {
+        return sanitizeBlockData(value, richFields);
+    }
+    return value;
+}
+
+/**
+ * Escape/sanitize block data before it's interpolated into a template
+ * @param {Object} data - Block data
+ * @param {Array<string>} richFields - Keys holding rich HTML (sanitized, not escaped)
+ * @returns {Object} - Safe copy of the data
+ */
+export function sanitizeBlockData(data, richFields = []) {
+    const safe = {};
+    Object.entries(data || {}).forEach(([key, value]) => {
+        safe[key] = sanitizeValue(key, value, richFields);
+    });
+    return safe;
+}
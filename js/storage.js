@@ -7,6 +7,7 @@
  * 
  * Features:
  * - Save templates with metadata (name, date, thumbnail)
+ *   plus the email details (subject, preheader, sender) from emailModel.toJSON
  * - Load templates
  * - List all saved templates
  * - Delete templates
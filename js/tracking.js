@@ -0,0 +1,157 @@
+/**
+ * ========================================
+ * Campaign Tracking (UTM & Link Wrapping)
+ * ========================================
+ *
+ * Applied by the exporter only - the canvas always shows links as typed.
+ *
+ * - UTM parameters (source/medium/campaign/content) are appended to every
+ *   http(s) link in block data: URL fields, footer links and anchors in
+ *   rich text. Parameters already present in a link are kept.
+ * - Blocks can override any UTM value; rows pass their overrides on to
+ *   their children.
+ * - With a redirect prefix, links are wrapped as prefix + encoded URL.
+ *
+ * The open pixel is appended by the exporter (wrapEmailHTML).
+ */
+
+import { MERGE_TAG_PATTERN } from './mergeTags.js';
+
+/**
+ * UTM parameters (tracking setting / block data key -> query parameter)
+ */
+export const UTM_PARAMETERS = {
+    utmSource: 'utm_source',
+    utmMedium: 'utm_medium',
+    utmCampaign: 'utm_campaign',
+    utmContent: 'utm_content'
+};
+
+/**
+ * Data keys that hold link URLs (image sources are not links)
+ */
+const LINK_KEY_PATTERN = /^(url|href)$|(Url|Href)$/;
+
+/**
+ * Only absolute web links are tracked (not mailto:, tel:, anchors or bare merge tags)
+ */
+const TRACKABLE_URL_PATTERN = /^https?:\/\//i;
+
+/**
+ * URL-encode a value but keep merge tags intact so the ESP can fill them in
+ */
+function encodeKeepingMergeTags(value) {
+    const pattern = new RegExp(MERGE_TAG_PATTERN.source, 'g');
+    let result = '';
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(value)) !== null) {
+        result += encodeURIComponent(value.slice(lastIndex, match.index)) + match[0];
+        lastIndex = match.index + match[0].length;
+    }
+
+    return result + encodeURIComponent(value.slice(lastIndex));
+}
+
+/**
+ * Get the tracking settings for a block (template settings + block overrides)
+ * @param {Object} tracking - Inherited tracking settings
+ * @param {Object} data - Block data (utmSource etc. override when not empty)
+ * @returns {Object} - Effective tracking settings
+ */
+export function getBlockTracking(tracking, data) {
+    const effective = { ...tracking };
+    Object.keys(UTM_PARAMETERS).forEach(key => {
+        const override = String(data[key] || '').trim();
+        if (override) effective[key] = override;
+    });
+    return effective;
+}
+
+/**
+ * Check if tracking settings change any link
+ */
+function isTrackingActive(tracking) {
+    if (!tracking) return false;
+    return Boolean(String(tracking.linkWrapPrefix || '').trim()) ||
+        Object.keys(UTM_PARAMETERS).some(key => String(tracking[key] || '').trim());
+}
+
+/**
+ * Add UTM parameters and the redirect prefix to a link
+ * @param {string} url - Link as typed
+ * @param {Object} tracking - Effective tracking settings
+ * @returns {string} - Tracked link (untrackable links are returned unchanged)
+ */
+export function trackURL(url, tracking) {
+    const value = String(url || '').trim();
+    if (!TRACKABLE_URL_PATTERN.test(value)) return url;
+
+    const prefix = String(tracking.linkWrapPrefix || '').trim();
+    if (prefix && value.startsWith(prefix)) return url; // Already wrapped
+
+    // Query parameters go before the #fragment
+    const hashIndex = value.indexOf('#');
+    const base = hashIndex === -1 ? value : value.slice(0, hashIndex);
+    const hash = hashIndex === -1 ? '' : value.slice(hashIndex);
+
+    const params = Object.entries(UTM_PARAMETERS)
+        .filter(([key, param]) => {
+            const setting = String(tracking[key] || '').trim();
+            return setting && !new RegExp(`[?&]${param}=`).test(base);
+        })
+        .map(([key, param]) => `${param}=${encodeKeepingMergeTags(String(tracking[key]).trim())}`);
+
+    const separator = base.includes('?') ? (/[?&]$/.test(base) ? '' : '&') : '?';
+    const decorated = params.length > 0 ? `${base}${separator}${params.join('&')}${hash}` : value;
+
+    return prefix ? prefix + encodeKeepingMergeTags(decorated) : decorated;
+}
+
+/**
+ * Track the href attributes of anchors in rich HTML
+ */
+function trackHTMLLinks(html, tracking) {
+    return html.replace(/(<a\b[^>]*?\shref\s*=\s*)(["'])(.*?)\2/gi, (match, before, quote, href) => {
+        // Entities are decoded so the sanitizer doesn't double-escape them later
+        const url = href.replace(/&amp;/g, '&');
+        const tracked = trackURL(url, tracking);
+        return tracked === url ? match : `${before}${quote}${tracked}${quote}`;
+    });
+}
+
+/**
+ * Track a single block data value
+ */
+function trackValue(key, value, richFields, tracking) {
+    if (typeof value === 'string') {
+        if (richFields.includes(key)) return trackHTMLLinks(value, tracking);
+        if (LINK_KEY_PATTERN.test(key)) return trackURL(value, tracking);
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => trackValue(key, item, richFields, tracking));
+    }
+    if (value && typeof value === 'object') {
+        return applyLinkTracking(value, richFields, tracking);
+    }
+    return value;
+}
+
+/**
+ * Apply tracking to every link in block data (before it's sanitized)
+ * @param {Object} data - Raw block data
+ * @param {Array<string>} richFields - Keys holding rich HTML
+ * @param {Object} tracking - Effective tracking settings (see getBlockTracking)
+ * @returns {Object} - Copy of the data with tracked links
+ */
+export function applyLinkTracking(data, richFields = [], tracking = null) {
+    if (!isTrackingActive(tracking)) return data;
+
+    const tracked = {};
+    Object.entries(data || {}).forEach(([key, value]) => {
+        tracked[key] = trackValue(key, value, richFields, tracking);
+    });
+    return tracked;
+}
@@ -0,0 +1,119 @@
+/**
+ * ========================================
+ * ZIP Archive Writer
+ * ========================================
+ *
+ * Minimal client-side ZIP writer for the export package (no dependencies).
+ * Files are stored uncompressed (method 0): the archive is a bundle of
+ * mostly small text files and already-compressed images, so deflate would
+ * save little and need a compression library.
+ *
+ * Layout per file: local file header + data, then the central directory
+ * and the end-of-central-directory record. File names are UTF-8 (flag bit 11).
+ */
+
+/**
+ * CRC-32 lookup table (polynomial 0xEDB88320)
+ */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 of a byte array
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields of a Date
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array} files - [{ name, content }] where content is a string (stored as UTF-8) or a Uint8Array;
+ *   names may contain folders ("images/logo.png")
+ * @param {Date} date - Modification date of the entries
+ * @returns {Uint8Array} - ZIP file bytes
+ */
+export function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date: dosDate } = dosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);   // Local file header signature
+        local.setUint16(4, 20, true);           // Version needed (2.0)
+        local.setUint16(6, 0x0800, true);       // UTF-8 file names
+        local.setUint16(8, 0, true);            // Stored (no compression)
+        local.setUint16(10, time, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // Compressed size
+        local.setUint32(22, data.length, true); // Uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);           // Extra field length
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // Central directory header signature
+        central.setUint16(4, 20, true);         // Version made by
+        central.setUint16(6, 20, true);         // Version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        // Extra, comment, disk number, internal/external attributes stay 0
+        central.setUint32(42, offset, true);    // Offset of the local header
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);         // End of central directory signature
+    end.setUint16(8, files.length, true);       // Entries on this disk
+    end.setUint16(10, files.length, true);      // Entries in total
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);            // Offset of the central directory
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}